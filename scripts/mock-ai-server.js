@@ -0,0 +1,123 @@
+// Local stand-in for the AI backend, for trying streaming extraction without network access
+// or an API key. It turns the transcription in the prompt into items with a few simple rules
+// and streams the JSON back slowly, in the Anthropic or OpenAI server-sent event format.
+//
+//   npm run mock-ai
+//   VITE_AI_PROVIDER=openai VITE_AI_API_URL=http://localhost:8787/v1/chat/completions npm run dev
+//
+// Requests to a path ending in /chat/completions get OpenAI-style responses, anything else
+// Anthropic-style. Requests without "stream": true get one JSON response.
+//   MOCK_AI_PORT      port to listen on (default 8787)
+//   MOCK_AI_DELAY_MS  pause between streamed chunks (default 60)
+import http from 'node:http';
+
+const PORT = parseInt(process.env.MOCK_AI_PORT, 10) || 8787;
+const DELAY_MS = parseInt(process.env.MOCK_AI_DELAY_MS, 10) || 60;
+const CHUNK_SIZE = 16;
+
+const CATEGORY_WORDS = [
+  ['electronics', /\b(?:phone|iphone|charger|laptop|tablet|headphones|earbuds)\b/i],
+  ['jewelry', /\b(?:ring|necklace|bracelet|earrings?|watch|chain)\b/i],
+  ['documents', /\b(?:license|passport|card|papers|id)\b/i],
+  ['accessories', /\b(?:wallet|purse|bag|backpack|glasses|keys|belt)\b/i],
+  ['medical', /\b(?:pills?|medication|inhaler|insulin|dentures|hearing aid)\b/i],
+  ['clothing', /\b(?:shirt|jacket|coat|pants|jeans|socks?|shoes?|sneakers|hat|sweater)\b/i]
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Pull the transcription out of the extraction prompt and split it into items
+const buildItems = (prompt) => {
+  const match = /Transcription to process:\n"([\s\S]*)"\n/.exec(prompt);
+  const transcription = match ? match[1] : prompt;
+  return transcription
+    .replace(/\[category: [^\]]+\]/gi, '')
+    .split(/[\n,.;]+|\bnext item\b/i)
+    .map(phrase => phrase.trim().replace(/^(?:and|also|a|an|the)\s+/i, ''))
+    .filter(Boolean)
+    .map(phrase => ({
+      title: capitalize(phrase.split(/\s+/).slice(0, 4).join(' ')),
+      category: (CATEGORY_WORDS.find(([, pattern]) => pattern.test(phrase)) || ['other'])[0],
+      description: capitalize(phrase),
+      quantity: 1
+    }));
+};
+
+const lastUserText = (messages = []) => {
+  const content = [...messages].reverse().find(message => message.role === 'user')?.content;
+  if (typeof content === 'string') return content;
+  return (content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, anthropic-version, anthropic-dangerous-direct-browser-access'
+};
+
+const streamEvents = async (res, openai, text) => {
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  if (!openai) send({ type: 'message_start', message: { role: 'assistant', content: [] } });
+  for (let i = 0; i < text.length && !res.destroyed; i += CHUNK_SIZE) {
+    const piece = text.slice(i, i + CHUNK_SIZE);
+    send(openai
+      ? { choices: [{ index: 0, delta: { content: piece } }] }
+      : { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } });
+    await sleep(DELAY_MS);
+  }
+  if (openai) res.write('data: [DONE]\n\n');
+  else send({ type: 'message_stop' });
+  res.end();
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {
+      res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Request body must be JSON' } }));
+      return;
+    }
+
+    const openai = req.url.endsWith('/chat/completions');
+    const items = buildItems(lastUserText(body.messages));
+    const text = JSON.stringify({ items, unstructured: [] });
+    console.log(`${req.method} ${req.url} - ${items.length} item(s)${body.stream ? ', streamed' : ''}`);
+
+    if (body.stream) {
+      streamEvents(res, openai, text).catch(e => {
+        console.error('Stream failed:', e);
+        res.destroy();
+      });
+      return;
+    }
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(openai
+      ? { choices: [{ index: 0, message: { role: 'assistant', content: text } }] }
+      : { content: [{ type: 'text', text }] }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock AI backend listening on http://localhost:${PORT}`);
+  console.log(`  Anthropic-style: VITE_AI_PROVIDER=proxy VITE_AI_API_URL=http://localhost:${PORT}/v1/messages`);
+  console.log(`  OpenAI-style:    VITE_AI_PROVIDER=openai VITE_AI_API_URL=http://localhost:${PORT}/v1/chat/completions`);
+});
@@ -1,6 +1,11 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import QRCode from 'qrcode';
+import jsQR from 'jsqr';
 import bannerImage from '/assets/Banner2.png';
+import siteConfig from '../site.config.json';
+import { addScannedPart, combineInventoryParts, mergeInventoryParts } from './inventoryParts.js';
+import { scrubPHI, scrubItems, canScrubLanguage } from './phiScrubber.js';
+import { escapeRegExp, capitalize, appendDetail, CONTENTS_CUE, createOfflineExtractor } from './offlineExtraction.js';
 
 // Theme configuration for consistent styling
 const theme = {
@@ -29,8 +34,19 @@ const theme = {
 // Calculate byte size of text
 const getByteSize = (text) => new TextEncoder().encode(text).length;
 
-// Categories for inventory items
-const CATEGORIES = [
+// Maximum payload per QR code (bytes) - keeps scans reliable at error correction level M
+const MAX_QR_BYTES = 2000;
+
+// Undo steps kept for the inventory list; older steps are dropped
+const MAX_HISTORY = 50;
+
+// Live processing: how many of the latest live items are given to the next phrase as context
+const LIVE_CONTEXT_SIZE = 5;
+
+// Categories for inventory items. Sites can replace the list with `categories` in
+// site.config.json; an optional `description` tells the model what belongs in a category and
+// optional `keywords` teach the offline extractor.
+const DEFAULT_CATEGORIES = [
   { value: 'clothing', label: 'Clothing', icon: '👔' },
   { value: 'electronics', label: 'Electronics', icon: '📱' },
   { value: 'documents', label: 'Documents', icon: '📄' },
@@ -39,315 +55,2913 @@ const CATEGORIES = [
   { value: 'medical', label: 'Medical', icon: '💊' },
   { value: 'other', label: 'Other', icon: '📦' }
 ];
+const CATEGORIES = siteConfig.categories?.length ? siteConfig.categories : DEFAULT_CATEGORIES;
+
+// Where unknown or unmatched categories land (`fallbackCategory`, "other" by default, else the last entry)
+const FALLBACK_CATEGORY = CATEGORIES.find(c => c.value === (siteConfig.fallbackCategory ?? 'other')) || CATEGORIES[CATEGORIES.length - 1];
+
+// The item's category entry, falling back for values the configuration doesn't know
+const getCategory = (item) => CATEGORIES.find(c => c.value === item.category) || FALLBACK_CATEGORY;
+
+// Offline extraction rules bound to the configured categories
+const { matchVocabulary, extractItemsLocally } = createOfflineExtractor(CATEGORIES, FALLBACK_CATEGORY);
+
+// Languages belongings can be dictated in. `value` is the speech recognizer locale, `label` is
+// shown in the picker and `name` is how the extraction prompt refers to it. Sites can replace
+// the list with `speechLanguages` in site.config.json; the first entry is the default.
+const DEFAULT_SPEECH_LANGUAGES = [
+  { value: 'en-US', label: 'English', name: 'English' },
+  { value: 'es-US', label: 'Español', name: 'Spanish' },
+  { value: 'zh-CN', label: '中文', name: 'Mandarin Chinese' },
+  { value: 'vi-VN', label: 'Tiếng Việt', name: 'Vietnamese' },
+  { value: 'fil-PH', label: 'Filipino', name: 'Tagalog' },
+  { value: 'ar-SA', label: 'العربية', name: 'Arabic' },
+  { value: 'fr-FR', label: 'Français', name: 'French' },
+  { value: 'ru-RU', label: 'Русский', name: 'Russian' },
+  { value: 'pt-BR', label: 'Português', name: 'Portuguese' }
+];
+const SPEECH_LANGUAGES = siteConfig.speechLanguages?.length ? siteConfig.speechLanguages : DEFAULT_SPEECH_LANGUAGES;
+
+// Language titles and descriptions are written in, whatever language was spoken
+const DOCUMENTATION_LANGUAGE = siteConfig.documentationLanguage || 'English';
+
+// Number of pieces an item entry stands for (older items and AI output may omit it)
+const getQuantity = (item) => Math.max(1, parseInt(item.quantity, 10) || 1);
+
+// Where each item ends up. Sites can replace the list with `dispositions` in site.config.json.
+const DEFAULT_DISPOSITIONS = [
+  { value: 'bag', label: 'Patient bag', icon: '🛍️' },
+  { value: 'patient', label: 'With patient', icon: '🧑' },
+  { value: 'home', label: 'Sent home', icon: '🏠' },
+  { value: 'security', label: 'Security safe', icon: '🔐' },
+  { value: 'pharmacy', label: 'Pharmacy', icon: '💊' }
+];
+const DISPOSITIONS = siteConfig.dispositions?.length ? siteConfig.dispositions : DEFAULT_DISPOSITIONS;
+
+// The item's disposition entry, or null when none is assigned
+const getDisposition = (item) => DISPOSITIONS.find(d => d.value === item.disposition) || null;
+
+// Structured details for home medications (the `medicationCategory`, `medical` by default).
+// Policy sends them to the `medicationDisposition` destination (pharmacy by default) unless
+// staff choose otherwise.
+const MEDICATION_CATEGORY = CATEGORIES.find(c => c.value === (siteConfig.medicationCategory ?? 'medical'))?.value || null;
+const MEDICATION_FORMS = ['tablet', 'capsule', 'liquid', 'inhaler', 'injection', 'patch', 'cream', 'drops', 'other'];
+const EMPTY_MEDICATION = { name: '', strength: '', form: '', count: null, labeled: null };
+const MEDICATION_DISPOSITION = DISPOSITIONS.find(d => d.value === (siteConfig.medicationDisposition ?? 'pharmacy'))?.value || null;
+
+// Clean up medication details from the AI or the editor. Returns null when nothing is filled in.
+const normalizeMedication = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/\s+/g, ' ').trim() : '');
+  const rawForm = text(raw.form).toLowerCase().replace(/s$/, '');
+  const count = parseInt(raw.count, 10);
+  const medication = {
+    name: text(raw.name),
+    strength: text(raw.strength),
+    form: MEDICATION_FORMS.includes(rawForm) ? rawForm : rawForm === 'pill' ? 'tablet' : rawForm ? 'other' : '',
+    count: count > 0 ? count : null,
+    labeled: typeof raw.labeled === 'boolean' ? raw.labeled : null
+  };
+  return medication.name || medication.strength || medication.form || medication.count ? medication : null;
+};
+
+// Readable one-liner for cards and the receipt, e.g. "metformin 500 mg tablet · 30 count · labeled"
+const formatMedicationSummary = (medication) => [
+  [medication.name, medication.strength, medication.form].filter(Boolean).join(' '),
+  medication.count ? `${medication.count} count` : null,
+  medication.labeled === true ? 'labeled' : medication.labeled === false ? 'not labeled' : null
+].filter(Boolean).join(' · ');
+
+// Medication details of an item, or null for anything that is not a captured medication
+const getMedication = (item) => (MEDICATION_CATEGORY && item.category === MEDICATION_CATEGORY ? normalizeMedication(item.medication) : null);
+
+// Cash and card tally, attachable to any item. Bills are counted by denomination, coins as a
+// dollar total, cards by type only (never numbers). `stated` holds a spoken total that has not
+// been counted yet ("about forty dollars").
+const CASH_DENOMINATIONS = [100, 50, 20, 10, 5, 2, 1];
+const CARD_TYPES = [
+  { value: 'credit', label: 'credit' },
+  { value: 'debit', label: 'debit' },
+  { value: 'id', label: 'ID' },
+  { value: 'insurance', label: 'insurance' },
+  { value: 'gift', label: 'gift' },
+  { value: 'other', label: 'other' }
+];
+const EMPTY_CASH = { bills: {}, coins: 0, stated: null, cards: {} };
+
+// Clean up a tally from the AI, the editor or a scanned export. Returns null when it is empty.
+const normalizeCash = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const count = (value) => Math.max(0, parseInt(value, 10) || 0);
+  const amount = (value) => Math.max(0, Math.round((parseFloat(value) || 0) * 100) / 100);
+  const bills = {};
+  CASH_DENOMINATIONS.forEach(d => { if (count(raw.bills?.[d])) bills[d] = count(raw.bills[d]); });
+  const cards = {};
+  CARD_TYPES.forEach(t => { if (count(raw.cards?.[t.value])) cards[t.value] = count(raw.cards[t.value]); });
+  const cash = { bills, coins: amount(raw.coins), stated: amount(raw.stated) || null, cards };
+  const empty = !Object.keys(bills).length && !cash.coins && !cash.stated && !Object.keys(cards).length;
+  return empty ? null : cash;
+};
+
+const getCashTotalCents = (cash) => CASH_DENOMINATIONS
+  .reduce((sum, d) => sum + (cash.bills[d] || 0) * d * 100, Math.round(cash.coins * 100));
+
+const formatMoney = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+// Normalized cash line, e.g. "Cash: $47.25 (2×$20, 1×$5, 2×$1, $0.25 coin)"; null without cash
+const formatCashLine = (cash) => {
+  const total = getCashTotalCents(cash);
+  if (!total) return cash.stated ? `Cash: ${formatMoney(cash.stated * 100)} stated, not counted` : null;
+  const breakdown = [
+    ...CASH_DENOMINATIONS.filter(d => cash.bills[d]).map(d => `${cash.bills[d]}×$${d}`),
+    ...(cash.coins ? [`${formatMoney(cash.coins * 100)} coin`] : [])
+  ];
+  return `Cash: ${formatMoney(total)} (${breakdown.join(', ')})`;
+};
+
+// "Cards: 2 credit, 1 ID"; null without cards
+const formatCardsLine = (cash) => {
+  const counts = CARD_TYPES.filter(t => cash.cards[t.value]).map(t => `${cash.cards[t.value]} ${t.label}`);
+  return counts.length ? `Cards: ${counts.join(', ')}` : null;
+};
+
+// Read "Cash: ..." / "Cards: ..." lines back into a raw tally for normalizeCash()
+const parseTallyLines = (lines) => {
+  const raw = { bills: {}, coins: 0, stated: null, cards: {} };
+  lines.forEach(line => {
+    const stated = /^Cash: \$([\d.]+) stated/.exec(line);
+    const counted = /^Cash: \$[\d.]+ \((.+)\)$/.exec(line);
+    const cards = /^Cards: (.+)$/.exec(line);
+    if (stated) raw.stated = stated[1];
+    counted?.[1].split(', ').forEach(part => {
+      const bill = /^(\d+)[×x]\$(\d+)$/.exec(part);
+      const coins = /^\$([\d.]+) coin$/.exec(part);
+      if (bill) raw.bills[bill[2]] = bill[1];
+      if (coins) raw.coins = coins[1];
+    });
+    cards?.[1].split(', ').forEach(part => {
+      const [, n, label] = /^(\d+) (.+)$/.exec(part) || [];
+      const type = CARD_TYPES.find(t => t.label === label);
+      if (type) raw.cards[type.value] = n;
+    });
+  });
+  return normalizeCash(raw);
+};
+
+const getCash = (item) => normalizeCash(item.cash);
+const hasCash = (item) => {
+  const cash = getCash(item);
+  return Boolean(cash && (getCashTotalCents(cash) || cash.stated));
+};
+
+// The tally as description lines for the card, receipt and export
+const getTallyLines = (item) => {
+  const cash = getCash(item);
+  return cash ? [formatCashLine(cash), formatCardsLine(cash)].filter(Boolean) : [];
+};
+
+// Order items by disposition (list order, unassigned last), keeping their order within each
+// group. A list without any dispositions is returned unchanged.
+const groupByDisposition = (items) => {
+  if (!items.some(getDisposition)) return items;
+  const rank = (item) => {
+    const disposition = getDisposition(item);
+    return disposition ? DISPOSITIONS.indexOf(disposition) : DISPOSITIONS.length;
+  };
+  return [...items].sort((a, b) => rank(a) - rank(b));
+};
+
+// EHR scanner output profiles. Keyboard-wedge scanners "type" the QR payload into the
+// focused field, so line breaks and non-ASCII characters behave differently per EHR field.
+const OUTPUT_PROFILES = [
+  {
+    value: 'multiline', label: 'Multi-line', multiline: true, rule: '─', asciiOnly: false,
+    description: 'Line feed (LF) breaks with separator lines. Note and text fields.'
+  },
+  {
+    value: 'ascii', label: 'ASCII only', multiline: true, rule: '-', asciiOnly: true,
+    description: 'Line feed breaks, plain "-" separators, no Unicode characters.'
+  },
+  {
+    value: 'pipe', label: 'Single-line pipe', multiline: false, separator: ' | ', asciiOnly: false,
+    description: 'One line, fields separated by " | ". Flowsheet rows and form fields.'
+  },
+  {
+    value: 'comment', label: 'Comment field', multiline: false, separator: '; ', asciiOnly: true,
+    description: 'No CR/LF at all, ASCII only. Comment fields that submit on Enter.'
+  }
+];
+
+const ASCII_REPLACEMENTS = {
+  '─': '-', '—': '-', '–': '-', '×': 'x', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '•': '*'
+};
+
+// Reduce text to printable ASCII: common symbols are transliterated, accents stripped,
+// Unicode spaces flattened and anything left over replaced with "?"
+const toAscii = (text) => text
+  .replace(/[─—–×‘’“”…•]/g, ch => ASCII_REPLACEMENTS[ch])
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\S\n]/g, ' ')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+// Flatten a free-text field so it cannot inject line breaks (or the profile's separator)
+const cleanField = (text, profile) => {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (profile.separator === ' | ') return flat.replace(/\|/g, '/');
+  if (profile.separator === '; ') return flat.replace(/;/g, ',');
+  return flat;
+};
+
+// Format a single numbered item as it appears in the exported text
+const formatItemEntry = (item, number, profile) => {
+  const category = cleanField(getCategory(item).label, profile);
+  const quantity = getQuantity(item);
+  const title = `${quantity > 1 ? `${quantity}× ` : ''}${cleanField(item.title, profile)}`;
+  const description = cleanField(item.description, profile);
+  const tally = getTallyLines(item).map(line => cleanField(line, profile));
+  if (profile.multiline) {
+    return `${number}. ${title}\n   Category: ${category}\n   ${[description, ...tally].join('\n   ')}\n\n`;
+  }
+  return `${number}. ${title} (${category}) - ${[description, ...tally].join(' - ')}`;
+};
+
+// One line of the medications block, e.g. "#3 metformin / 500 mg / tablet / count 30 / labeled".
+// Empty fields are written as "-" so the line reads back field by field.
+const formatMedicationLine = (item, number, profile) => {
+  const medication = getMedication(item);
+  const field = (value) => cleanField(value, profile).replace(/\//g, '-') || '-';
+  const labeled = medication.labeled === true ? 'labeled' : medication.labeled === false ? 'not labeled' : 'label unknown';
+  return `#${number} ${[
+    field(medication.name || item.title), field(medication.strength), field(medication.form),
+    `count ${medication.count ?? '-'}`, labeled
+  ].join(' / ')}`;
+};
+
+// Heading above each disposition group, with that group's counts
+const formatDispositionHeading = (disposition, items, profile) => {
+  const group = items.filter(item => getDisposition(item) === disposition);
+  const pieces = group.reduce((sum, item) => sum + getQuantity(item), 0);
+  const label = cleanField(disposition ? disposition.label : 'Not assigned', profile).toUpperCase();
+  return `>> ${label}: ${group.length} item${group.length === 1 ? '' : 's'}, ${pieces} piece${pieces === 1 ? '' : 's'}`;
+};
+
+// Assemble the text for one QR code. A single-part inventory keeps the original layout;
+// multi-part inventories repeat the header and footer so every code stands on its own.
+const formatInventoryPart = ({ entries, medicationLines = [], part, totalParts, firstNumber, totalItems, totalPieces, timestamp, headerLines = [], profile }) => {
+  const header = ['PATIENT BELONGINGS INVENTORY'];
+  const footer = [];
+  if (totalParts > 1) {
+    header.push(`PART ${part} OF ${totalParts} - SCAN ALL ${totalParts} PARTS`);
+    footer.push(`Items ${firstNumber}-${firstNumber + entries.length - 1} of ${totalItems}`);
+  }
+  header.push(`Generated: ${timestamp}`, ...headerLines.map(line => cleanField(line, profile)));
+  footer.push(`Total Items: ${totalItems}`, `Total Pieces: ${totalPieces}`);
+  if (totalParts > 1) {
+    footer.push(part === totalParts
+      ? `END OF INVENTORY (Part ${part} of ${totalParts})`
+      : `CONTINUED IN PART ${part + 1} OF ${totalParts}`);
+  }
+
+  const medications = medicationLines.length > 0 ? [`MEDICATIONS (${medicationLines.length})`, ...medicationLines] : [];
+
+  let text;
+  if (profile.multiline) {
+    const rule = profile.rule.repeat(30);
+    const medicationBlock = medications.length > 0 ? `${medications.join('\n')}\n${rule}\n` : '';
+    text = `${header.join('\n')}\n${rule}\n\n${entries.join('')}${rule}\n${medicationBlock}${footer.join('\n')}`;
+  } else {
+    text = [...header, ...entries, ...medications, ...footer].join(profile.separator);
+  }
+  return profile.asciiOnly ? toAscii(text) : text;
+};
+
+// Split the inventory on item boundaries into QR-sized parts. `headerLines` are repeated
+// under the title of every part. Items with a disposition are grouped under headings; a part
+// that starts partway through a group repeats its heading. Each part ends with a medications
+// block for the medications it lists.
+// Returns [{ text, bytes, firstNumber, lastNumber }]; a part holding a single item that
+// is itself over budget is returned as-is so the caller can flag it.
+const splitInventory = (inputItems, { timestamp, profile = OUTPUT_PROFILES[0], headerLines = [], maxBytes = MAX_QR_BYTES }) => {
+  const items = groupByDisposition(inputItems);
+  const grouped = items !== inputItems;
+  const entries = items.map((item, i) => formatItemEntry(item, i + 1, profile));
+  const totalPieces = items.reduce((sum, item) => sum + getQuantity(item), 0);
+  const withHeadings = (group) => group.entries.map((entry, j) => {
+    const i = group.firstNumber - 1 + j;
+    const disposition = getDisposition(items[i]);
+    if (!grouped || (j > 0 && getDisposition(items[i - 1]) === disposition)) return entry;
+    const heading = formatDispositionHeading(disposition, items, profile);
+    return profile.multiline ? `${heading}\n\n${entry}` : `${heading}${profile.separator}${entry}`;
+  });
+  const build = (group, part, totalParts) => {
+    const medicationLines = items
+      .slice(group.firstNumber - 1, group.firstNumber - 1 + group.entries.length)
+      .map((item, j) => (getMedication(item) ? formatMedicationLine(item, group.firstNumber + j, profile) : null))
+      .filter(Boolean);
+    const text = formatInventoryPart({
+      entries: withHeadings(group), medicationLines, part, totalParts,
+      firstNumber: group.firstNumber, totalItems: items.length, totalPieces, timestamp, headerLines, profile
+    });
+    return { text, bytes: getByteSize(text), firstNumber: group.firstNumber, lastNumber: group.firstNumber + group.entries.length - 1 };
+  };
+
+  const single = build({ entries, firstNumber: 1 }, 1, 1);
+  if (single.bytes <= maxBytes || entries.length <= 1) return [single];
+
+  // Header/footer length depends on the part count, so repack until the count settles.
+  // Adding parts only ever grows the header, so this converges.
+  let totalParts = 2;
+  for (let attempt = 0; attempt <= entries.length; attempt++) {
+    const groups = [];
+    let current = null;
+    entries.forEach((entry, i) => {
+      if (current) {
+        const candidate = { entries: [...current.entries, entry], firstNumber: current.firstNumber };
+        const part = groups.length + 1;
+        // Measure against the longer of the "continued" and "end" footers
+        const size = Math.max(build(candidate, part, totalParts).bytes, build(candidate, totalParts, totalParts).bytes);
+        if (size <= maxBytes) { current = candidate; return; }
+        groups.push(current);
+      }
+      current = { entries: [entry], firstNumber: i + 1 };
+    });
+    groups.push(current);
+
+    if (groups.length <= totalParts) {
+      return groups.map((group, i) => build(group, i + 1, groups.length));
+    }
+    totalParts = groups.length;
+  }
+  return [single];
+};
+
+// Non-PHI encounter reference fields exported under the header. The patterns only admit
+// codes, numbers and initials, written the way codes are: a tag is up to three capital
+// letters before its number, and a location is a unit code (capital letters, or letters and
+// digits with at least one digit, up to four characters), an optional bay/bed/room word and
+// the room number. Names as people type them ("Mary 12", "Ann-3", "John Smith 12") fail;
+// a short name typed in capitals ("MARY 12") looks like any unit code and can't be told apart.
+const ENCOUNTER_FIELDS = [
+  {
+    key: 'bagNumber', label: 'Bag / tag #', exportLabel: 'Bag/Tag', placeholder: 'B-10442', maxLength: 20,
+    pattern: /^[A-Z]{0,3}-?\d{2,}$/, hint: 'Tag number, up to 3 capital letters then at least 2 digits, e.g. "B-10442"'
+  },
+  {
+    key: 'location', label: 'Unit / room', exportLabel: 'Location', placeholder: 'ED Bay 12', maxLength: 20,
+    pattern: /^(?:[A-Z]{1,4}|(?=[A-Z]*\d)[A-Z0-9]{1,4})(?:[ -](?:BAY|Bay|bay|BED|Bed|bed|RM|Rm|rm|ROOM|Room|room))?(?:[ -][A-Z]?)?\d{1,4}[A-Z]?$/,
+    hint: 'Unit code in capitals and room or bay number, e.g. "ED 12", "ED Bay 12" or "4W-210"'
+  },
+  {
+    key: 'staffInitials', label: 'Received by', exportLabel: 'Received by', placeholder: 'Initials', maxLength: 3,
+    pattern: /^[A-Z]{2,3}$/, hint: 'Staff initials only (2-3 letters)', initials: true
+  },
+  {
+    key: 'witnessInitials', label: 'Witness', exportLabel: 'Witness', placeholder: 'Initials', maxLength: 3,
+    pattern: /^[A-Z]{2,3}$/, hint: 'Witness initials only (2-3 letters)', initials: true
+  }
+];
+
+// Returns { [fieldKey]: hint } for every filled-in field that fails its pattern, and for
+// every field in `required` that is empty
+const validateEncounter = (encounter, required = {}) => ENCOUNTER_FIELDS.reduce((errors, field) => {
+  const value = (encounter[field.key] || '').trim();
+  if (value && !field.pattern.test(value)) errors[field.key] = field.hint;
+  else if (!value && required[field.key]) errors[field.key] = required[field.key];
+  return errors;
+}, {});
+
+// Header lines for the filled-in, valid encounter fields
+const formatEncounterLines = (encounter) => ENCOUNTER_FIELDS
+  .filter(field => {
+    const value = (encounter[field.key] || '').trim();
+    return value && field.pattern.test(value);
+  })
+  .map(field => `${field.exportLabel}: ${encounter[field.key].trim()}`);
+
+// Reasons a patient could not acknowledge the inventory (fixed list - no free text)
+const UNABLE_TO_SIGN_REASONS = [
+  { value: 'sedated', label: 'Sedated / unconscious' },
+  { value: 'altered', label: 'Altered mental status' },
+  { value: 'physical', label: 'Physically unable' },
+  { value: 'refused', label: 'Refused to sign' },
+  { value: 'language', label: 'Language barrier, no interpreter' },
+  { value: 'other', label: 'Other' }
+];
+
+// An attestation is complete when a witness has initialed and the patient has either
+// signed or is recorded as unable to sign with a reason
+const isAttestationComplete = (attestation) => Boolean(
+  attestation
+  && /^[A-Z]{2,3}$/.test(attestation.witnessInitials)
+  && ((attestation.patientStatus === 'signed' && attestation.signature)
+    || (attestation.patientStatus === 'unable' && attestation.unableReason))
+);
+
+// What an attestation covers: the listed items as exported, in order. Photos and in-memory
+// ids are left out so adding a photo after signing does not void the signature.
+const getItemsKey = (items) => JSON.stringify(items.map(({ photos, id, duplicateOf, ...item }) => item));
+
+// One-line attestation summary for the export text (the signature itself never goes in the QR)
+const formatAttestationLine = (attestation) => {
+  if (!isAttestationComplete(attestation)) return 'Attestation: not completed';
+  const patient = attestation.patientStatus === 'signed'
+    ? 'patient signed'
+    : `patient unable to sign (${UNABLE_TO_SIGN_REASONS.find(r => r.value === attestation.unableReason).label.toLowerCase()})`;
+  return `Attestation: witness ${attestation.witnessInitials}, ${patient}`;
+};
+
+// Parse text produced by splitInventory() back into items. Handles every output profile
+// (multi-line, ASCII, pipe and comment field) and a single part of a multi-part export.
+// Returns { items: [{ number, title, category, description, quantity }], part, totalParts, timestamp, encounter }.
+// Throws if the text is not an inventory export from this app.
+const parseInventoryText = (rawText) => {
+  const text = String(rawText ?? '').replace(/\r\n?/g, '\n').trim();
+  if (!text.startsWith('PATIENT BELONGINGS INVENTORY')) {
+    throw new Error('Not a belongings inventory from this app');
+  }
+
+  const result = { items: [], part: 1, totalParts: 1, timestamp: null, encounter: {} };
+  let disposition = null;
+  const readDispositionHeading = (line) => {
+    const headingMatch = /^>> (.+): \d+ items?, \d+ pieces?$/.exec(line);
+    if (!headingMatch) return false;
+    const label = headingMatch[1].toLowerCase();
+    disposition = DISPOSITIONS.find(d => toAscii(d.label).toLowerCase() === label || d.label.toLowerCase() === label)?.value || null;
+    return true;
+  };
+  // Category labels are written ASCII-folded by the ASCII profiles, so match either form
+  const categoryFromLabel = (label) => (
+    CATEGORIES.find(c => [c.label, toAscii(c.label)].some(l => l.toLowerCase() === label.trim().toLowerCase())) || FALLBACK_CATEGORY
+  ).value;
+  const newItem = (number, rawTitle) => {
+    const quantityMatch = /^(\d+)[×x] (.+)$/.exec(rawTitle.trim());
+    return {
+      number: parseInt(number, 10),
+      title: quantityMatch ? quantityMatch[2] : rawTitle.trim(),
+      category: FALLBACK_CATEGORY.value,
+      description: '',
+      quantity: quantityMatch ? parseInt(quantityMatch[1], 10) : 1,
+      ...(disposition ? { disposition } : {})
+    };
+  };
+  const medications = new Map();
+  const readHeaderLine = (line) => {
+    const medicationMatch = /^#(\d+) (.+)$/.exec(line);
+    const medicationFields = medicationMatch?.[2].split(' / ');
+    if (medicationFields?.length === 5) {
+      const [name, strength, form, count, labeled] = medicationFields.map(f => (f === '-' ? '' : f));
+      medications.set(parseInt(medicationMatch[1], 10), normalizeMedication({
+        name, strength, form,
+        count: count.replace(/^count /, ''),
+        labeled: labeled === 'labeled' ? true : labeled === 'not labeled' ? false : null
+      }));
+      return;
+    }
+    const partMatch = /^PART (\d+) OF (\d+)/.exec(line);
+    if (partMatch) {
+      result.part = parseInt(partMatch[1], 10);
+      result.totalParts = parseInt(partMatch[2], 10);
+      return;
+    }
+    // Every part of one export shares its timestamp, which tells exports apart
+    if (line.startsWith('Generated: ')) {
+      result.timestamp = line.slice('Generated: '.length).trim();
+      return;
+    }
+    const field = ENCOUNTER_FIELDS.find(f => line.startsWith(`${f.exportLabel}: `));
+    if (field) result.encounter[field.key] = line.slice(field.exportLabel.length + 2).trim();
+  };
+
+  if (text.includes('\n')) {
+    // Multi-line profiles: "1. Title" followed by indented "Category:" and description lines
+    let current = null;
+    text.split('\n').forEach(line => {
+      const itemMatch = /^(\d+)\. (.*)$/.exec(line);
+      if (readDispositionHeading(line.trim())) {
+        current = null;
+      } else if (itemMatch) {
+        current = newItem(itemMatch[1], itemMatch[2]);
+        result.items.push(current);
+      } else if (/^[─-]{10,}$/.test(line.trim())) {
+        current = null;
+      } else if (current && /^\s+Category: /.test(line)) {
+        current.category = categoryFromLabel(line.replace(/^\s+Category: /, ''));
+      } else if (current && /^\s+(?:Cash|Cards): /.test(line)) {
+        current.tally = [...(current.tally || []), line.trim()];
+      } else if (current && /^\s+\S/.test(line)) {
+        current.description = current.description ? `${current.description} ${line.trim()}` : line.trim();
+      } else if (!current && line.trim()) {
+        readHeaderLine(line.trim());
+      }
+    });
+  } else {
+    // Single-line profiles: segments joined by " | " or "; ", items as "1. Title (Category) - description"
+    const separator = text.startsWith('PATIENT BELONGINGS INVENTORY | ') ? ' | ' : '; ';
+    const labels = CATEGORIES.flatMap(c => [c.label, toAscii(c.label)]).map(escapeRegExp).join('|');
+    const itemPattern = new RegExp(`^(\\d+)\\. (.*?) \\((${labels})\\) - (.*)$`, 'i');
+    text.split(separator).forEach(segment => {
+      const itemMatch = itemPattern.exec(segment.trim());
+      if (readDispositionHeading(segment.trim())) return;
+      if (itemMatch) {
+        const [description, ...tally] = itemMatch[4].split(/ - (?=(?:Cash|Cards): )/);
+        result.items.push({
+          ...newItem(itemMatch[1], itemMatch[2]),
+          category: categoryFromLabel(itemMatch[3]),
+          description: description.trim(),
+          tally
+        });
+      } else {
+        readHeaderLine(segment.trim());
+      }
+    });
+  }
+
+  result.items.forEach(item => {
+    const medication = medications.get(item.number);
+    if (medication && item.category === MEDICATION_CATEGORY) item.medication = medication;
+    const cash = item.tally && parseTallyLines(item.tally);
+    if (cash) item.cash = cash;
+    delete item.tally;
+  });
+  return result;
+};
+
+// Read a pasted or imported export back in. The text may hold several parts back to back;
+// every part of a multi-part export has to be present, all from the same export.
+// Returns { items, encounter }
+const loadInventoryText = (rawText) => {
+  const texts = String(rawText ?? '')
+    .split(/(?=PATIENT BELONGINGS INVENTORY)/)
+    .map(text => text.trim().replace(/\s*[|;]$/, ''))
+    .filter(Boolean);
+  if (texts.length === 0) throw new Error('No inventory text found');
+
+  const parts = texts.map(parseInventoryText);
+  return { items: combineInventoryParts(parts), encounter: parts[0].encounter };
+};
+
+// Discharge reconciliation: what happened to each item logged at admission
+const RECONCILIATION_STATUSES = [
+  { value: 'returned', label: 'Returned', exportLabel: 'RETURNED', color: '#0d9488' },
+  { value: 'missing', label: 'Missing', exportLabel: 'MISSING', color: '#dc2626' },
+  { value: 'transferred', label: 'Sent elsewhere', exportLabel: 'SENT ELSEWHERE', color: '#d97706', notePrompt: 'Sent to (e.g. security safe, pharmacy)' },
+  { value: 'declined', label: 'Patient declined', exportLabel: 'PATIENT DECLINED', color: '#7c3aed', notePrompt: 'Note (optional)' }
+];
+
+const createReconciliation = (items, encounter = {}) => ({
+  admission: items.map(item => ({ ...item, status: null, note: '' })),
+  found: [],
+  encounter
+});
+
+// Summary text for the reconciliation QR. Only discrepancies are listed item by item:
+// anything not returned, anything not yet checked, and items found that were never logged.
+const formatReconciliationText = ({ reconciliation, timestamp, profile = OUTPUT_PROFILES[0], headerLines = [] }) => {
+  const { admission, found } = reconciliation;
+  const countOf = (status) => admission.filter(item => item.status === status).length;
+  const describe = (item) => {
+    const quantity = getQuantity(item);
+    return `${quantity > 1 ? `${quantity}× ` : ''}${cleanField(item.title, profile)} (${cleanField(getCategory(item).label, profile)})`;
+  };
+
+  const counts = [
+    `Admission items: ${admission.length}`,
+    ...RECONCILIATION_STATUSES.map(status => `${status.label}: ${countOf(status.value)}`),
+    ...(countOf(null) > 0 ? [`Not checked: ${countOf(null)}`] : []),
+    `Found, not logged: ${found.length}`
+  ];
+
+  const discrepancies = admission
+    .map((item, i) => ({ item, number: i + 1 }))
+    .filter(({ item }) => item.status !== 'returned')
+    .map(({ item, number }) => {
+      const status = RECONCILIATION_STATUSES.find(s => s.value === item.status);
+      const note = item.note?.trim() ? `: ${cleanField(item.note, profile)}` : '';
+      return `${number}. ${describe(item)} - ${status ? status.exportLabel : 'NOT CHECKED'}${note}`;
+    });
+  const foundLines = found.map(item => `+ ${describe(item)} - ${cleanField(item.description, profile)}`);
+
+  const body = discrepancies.length === 0 && found.length === 0
+    ? ['All items returned - no discrepancies']
+    : [
+        ...(discrepancies.length > 0 ? ['DISCREPANCIES', ...discrepancies] : []),
+        ...(found.length > 0 ? ['FOUND, NOT ON ADMISSION LIST', ...foundLines] : [])
+      ];
+
+  const header = [
+    'PATIENT BELONGINGS RECONCILIATION',
+    `Generated: ${timestamp}`,
+    ...headerLines.map(line => cleanField(line, profile))
+  ];
+
+  let text;
+  if (profile.multiline) {
+    const rule = profile.rule.repeat(30);
+    text = [...header, rule, ...counts, rule, ...body].join('\n');
+  } else {
+    text = [...header, ...counts, ...body].join(profile.separator);
+  }
+  return profile.asciiOnly ? toAscii(text) : text;
+};
+
+// Total AI calls per extraction: the first request plus repair retries
+const MAX_EXTRACTION_ATTEMPTS = 3;
+
+// Pull the JSON object out of a model response, tolerating markdown fences and stray prose
+const parseJsonResponse = (text) => {
+  const cleaned = String(text).replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('Response did not contain a JSON object');
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+// Validate an extraction response against the item schema and salvage what we can.
+// Unknown keys are dropped, unknown categories become the fallback category, and an item with only
+// one of title/description is repaired from the other. Every deviation is recorded in
+// `errors` so it can be fed back to the model on retry.
+const validateExtraction = (data) => {
+  const result = { items: [], updates: [], salvaged: [], rejected: [], unstructured: [], errors: [] };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    result.errors.push('Response must be a JSON object with an "items" array');
+    return result;
+  }
+  if (!Array.isArray(data.items)) {
+    result.errors.push('"items" must be an array');
+  }
+  if (Array.isArray(data.unstructured)) {
+    result.unstructured = data.unstructured.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim());
+  }
+  // Live processing: new details for items from earlier phrases, by their 1-based `ref`.
+  // Only the detail comes back, never a rewritten description: the listed items were
+  // scrubbed, so a rewrite would put placeholders over what staff entered.
+  if (data.updates !== undefined) {
+    if (Array.isArray(data.updates)) {
+      result.updates = data.updates
+        .filter(u => u && Number.isInteger(u.ref) && u.ref > 0 && typeof u.detail === 'string' && u.detail.trim())
+        .map(u => ({ ref: u.ref, detail: u.detail.trim() }));
+    } else {
+      result.errors.push('"updates" must be an array or left out');
+    }
+  }
+
+  (Array.isArray(data.items) ? data.items : []).forEach((raw, i) => {
+    const label = `items[${i}]`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      result.rejected.push({ index: i, reason: 'Not an object' });
+      result.errors.push(`${label} must be an object`);
+      return;
+    }
+
+    let title = typeof raw.title === 'string' ? raw.title.trim() : '';
+    let description = typeof raw.description === 'string' ? raw.description.trim() : '';
+    if (!title && !description) {
+      result.rejected.push({ index: i, reason: 'No title or description' });
+      result.errors.push(`${label}: "title" and "description" must be non-empty strings`);
+      return;
+    }
+
+    const fixes = [];
+    if (!title) {
+      title = description.split(/\s+/).slice(0, 4).join(' ');
+      fixes.push('title taken from description');
+      result.errors.push(`${label}: "title" must be a non-empty string`);
+    }
+    if (!description) {
+      description = title;
+      fixes.push('description copied from title');
+      result.errors.push(`${label}: "description" must be a non-empty string`);
+    }
+
+    const rawCategory = typeof raw.category === 'string' ? raw.category.trim().toLowerCase() : '';
+    let category = rawCategory;
+    if (!CATEGORIES.some(c => c.value === rawCategory)) {
+      category = FALLBACK_CATEGORY.value;
+      fixes.push(`category "${raw.category ?? ''}" changed to ${FALLBACK_CATEGORY.label}`);
+      result.errors.push(`${label}: "category" must be one of ${CATEGORIES.map(c => c.value).join(', ')} (got ${JSON.stringify(raw.category ?? null)})`);
+    }
+
+    if (raw.quantity !== undefined && !(Number.isInteger(raw.quantity) && raw.quantity > 0)) {
+      fixes.push('quantity reset to 1');
+      result.errors.push(`${label}: "quantity" must be a positive integer`);
+    }
+
+    let disposition = typeof raw.disposition === 'string' ? raw.disposition.trim().toLowerCase() : null;
+    if (disposition && !DISPOSITIONS.some(d => d.value === disposition)) {
+      disposition = null;
+      fixes.push(`disposition "${raw.disposition}" dropped`);
+      result.errors.push(`${label}: "disposition" must be one of ${DISPOSITIONS.map(d => d.value).join(', ')} or left out`);
+    }
+
+    const isMedication = MEDICATION_CATEGORY && category === MEDICATION_CATEGORY;
+    const medication = isMedication ? normalizeMedication(raw.medication) : null;
+    if (isMedication && raw.medication !== undefined && !medication) {
+      fixes.push('medication details dropped');
+      result.errors.push(`${label}: "medication" must be an object with name, strength, form, count and labeled`);
+    }
+    const original = typeof raw.original === 'string' ? raw.original.trim() : '';
+    if (raw.original !== undefined && typeof raw.original !== 'string') {
+      fixes.push('original wording dropped');
+      result.errors.push(`${label}: "original" must be a string or left out`);
+    }
+    const cash = normalizeCash(raw.cash);
+    if (raw.cash !== undefined && !cash) {
+      fixes.push('cash tally dropped');
+      result.errors.push(`${label}: "cash" must be an object with bills, coins, stated and cards`);
+    }
+    // Policy: medications go to pharmacy unless the speaker said otherwise
+    if (medication && !disposition) disposition = MEDICATION_DISPOSITION;
+
+    result.items.push({
+      title, category, description, quantity: getQuantity(raw),
+      ...(disposition ? { disposition } : {}),
+      ...(medication ? { medication } : {}),
+      ...(cash ? { cash } : {}),
+      ...(original && original.toLowerCase() !== description.toLowerCase() ? { original } : {})
+    });
+    if (fixes.length) result.salvaged.push({ title, fixes });
+  });
+
+  return result;
+};
+
+// Text delta carried by one server-sent event of a streamed Anthropic or OpenAI-style
+// response, or null for events without text (message_start, pings, finish markers)
+const readAnthropicEvent = (event) => {
+  if (event.type === 'error') throw new Error(event.error?.message || 'API error');
+  return event.type === 'content_block_delta' ? event.delta?.text ?? null : null;
+};
+const readOpenAIEvent = (event) => {
+  if (event.error) throw new Error(event.error.message || 'API error');
+  return event.choices?.[0]?.delta?.content ?? null;
+};
+
+// AI providers. Each one owns the request shape and response parsing for its API, so the
+// rest of the app only deals in chat messages in and completion text out.
+const AI_PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    defaultUrl: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-sonnet-4-20250514',
+    requiresKey: true,
+    buildRequest: ({ messages, model, maxTokens, apiKey, stream }) => ({
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: { model, max_tokens: maxTokens, messages, ...(stream ? { stream: true } : {}) }
+    }),
+    buildImageContent: (mediaType, data) => ({ type: 'image', source: { type: 'base64', media_type: mediaType, data } }),
+    parseResponse: (data) => data.content?.[0]?.text,
+    parseStreamEvent: readAnthropicEvent
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultUrl: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: false, // self-hosted gateways (vLLM, Ollama, LiteLLM) often run without one
+    buildRequest: ({ messages, model, maxTokens, apiKey, stream }) => ({
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: { model, max_tokens: maxTokens, messages, ...(stream ? { stream: true } : {}) }
+    }),
+    buildImageContent: (mediaType, data) => ({ type: 'image_url', image_url: { url: `data:${mediaType};base64,${data}` } }),
+    parseResponse: (data) => data.choices?.[0]?.message?.content,
+    parseStreamEvent: readOpenAIEvent
+  },
+  proxy: {
+    label: 'Proxy',
+    defaultUrl: null,
+    defaultModel: 'claude-sonnet-4-20250514',
+    requiresKey: false,
+    // Same body as the Anthropic API so existing Workers proxies keep working;
+    // the proxy holds the credentials and may answer in any supported shape.
+    buildRequest: ({ messages, model, maxTokens, stream }) => ({
+      headers: {},
+      body: { model, max_tokens: maxTokens, messages, ...(stream ? { stream: true } : {}) }
+    }),
+    buildImageContent: (mediaType, data) => ({ type: 'image', source: { type: 'base64', media_type: mediaType, data } }),
+    parseResponse: (data) => data.content?.[0]?.text
+      ?? data.choices?.[0]?.message?.content
+      ?? data.text
+      ?? (data.items ? JSON.stringify(data) : undefined),
+    parseStreamEvent: (event) => readAnthropicEvent(event) ?? readOpenAIEvent(event) ?? event.text ?? null
+  }
+};
+
+// Resolve the AI backend from the environment. Returns null when nothing usable is configured.
+//   VITE_AI_PROVIDER    anthropic | openai | proxy (inferred from the variables below if unset)
+//   VITE_AI_API_URL     endpoint override, e.g. an on-prem gateway or local model server
+//   VITE_AI_API_KEY     key for the chosen provider (VITE_ANTHROPIC_API_KEY also works for anthropic)
+//   VITE_AI_MODEL       model name override
+//   VITE_AI_MAX_TOKENS  completion budget (default 1000)
+//   VITE_AI_STREAM      "false" to request extraction as one response instead of a stream
+const getAIConfig = (env = import.meta.env) => {
+  const providerName = env.VITE_AI_PROVIDER
+    || (env.VITE_API_PROXY_URL ? 'proxy' : env.VITE_ANTHROPIC_API_KEY ? 'anthropic' : null);
+  const provider = AI_PROVIDERS[providerName];
+  if (!provider) return null;
+
+  const apiKey = env.VITE_AI_API_KEY || (providerName === 'anthropic' ? env.VITE_ANTHROPIC_API_KEY : undefined);
+  const url = env.VITE_AI_API_URL || (providerName === 'proxy' ? env.VITE_API_PROXY_URL : undefined) || provider.defaultUrl;
+  if (!url || (provider.requiresKey && !apiKey)) return null;
+
+  return {
+    name: providerName,
+    provider,
+    url,
+    apiKey,
+    model: env.VITE_AI_MODEL || provider.defaultModel,
+    maxTokens: parseInt(env.VITE_AI_MAX_TOKENS, 10) || 1000,
+    stream: env.VITE_AI_STREAM !== 'false'
+  };
+};
+
+const sendCompletionRequest = (config, messages, { stream = false, signal } = {}) => {
+  const { headers, body } = config.provider.buildRequest({
+    messages, model: config.model, maxTokens: config.maxTokens, apiKey: config.apiKey, stream
+  });
+  return fetch(config.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+};
+
+const readCompletionResponse = async (config, response) => {
+  const data = await response.json();
+  if (data.error) throw new Error(data.error.message || 'API error');
+  if (!response.ok) throw new Error(`API error (${response.status})`);
+
+  const text = config.provider.parseResponse(data);
+  if (typeof text !== 'string') throw new Error(`Unexpected ${config.provider.label} response shape`);
+  return text;
+};
+
+// Send chat messages to the configured provider and return the completion text
+const requestCompletion = async (config, messages, signal) => (
+  readCompletionResponse(config, await sendCompletionRequest(config, messages, { signal }))
+);
+
+// Like requestCompletion(), but asks for a streamed response and passes each piece of text
+// to onText as it arrives. A backend that answers with plain JSON instead of server-sent
+// events still works; its text arrives in one piece. Responses without a JSON content type
+// are read as events, since simple proxies often pipe the stream without its headers.
+// Resolves to the whole completion text.
+const streamCompletion = async (config, messages, { onText, signal } = {}) => {
+  const response = await sendCompletionRequest(config, messages, { stream: true, signal });
+  if (!response.body || (response.headers.get('content-type') || '').includes('json')) {
+    const text = await readCompletionResponse(config, response);
+    onText?.(text);
+    return text;
+  }
+  if (!response.ok) throw new Error(`API error (${response.status})`);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+    // Events are separated by a blank line; the last piece may still be incomplete
+    const events = buffered.split(/\r?\n\r?\n/);
+    buffered = done ? '' : events.pop();
+    events.forEach(event => {
+      const data = event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (!data || data === '[DONE]') return;
+      const delta = config.provider.parseStreamEvent(JSON.parse(data));
+      if (delta) {
+        text += delta;
+        onText?.(delta);
+      }
+    });
+    if (done) return text;
+  }
+};
+
+// Incremental reader for a streamed extraction response. Returns a function to feed text to
+// as it arrives; onItem(raw) is called with each element of the top-level "items" array as
+// soon as its closing brace is in. Text around the JSON (code fences, preambles) is skipped.
+const createItemStreamParser = (onItem) => {
+  let buffer = '';
+  let scanned = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastKey = null; // most recent string at the top level of the response object
+  let inItems = false;
+  let itemStart = -1;
+  return (chunk) => {
+    buffer += chunk;
+    for (; scanned < buffer.length; scanned++) {
+      const ch = buffer[scanned];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          if (depth === 1) lastKey = buffer.slice(stringStart + 1, scanned);
+        }
+      } else if (depth === 0) {
+        if (ch === '{') depth = 1;
+      } else if (ch === '"') {
+        inString = true;
+        stringStart = scanned;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+        if (ch === '[' && depth === 2 && lastKey === 'items') inItems = true;
+        if (ch === '{' && inItems && depth === 3) itemStart = scanned;
+      } else if (ch === '}' || ch === ']') {
+        if (ch === '}' && inItems && depth === 3 && itemStart !== -1) {
+          try {
+            onItem(JSON.parse(buffer.slice(itemStart, scanned + 1)));
+          } catch (e) {
+            // A malformed element is reported by the validation of the whole response
+          }
+          itemStart = -1;
+        }
+        if (ch === ']' && depth === 2) inItems = false;
+        depth--;
+      }
+    }
+  };
+};
+
+// Wording rules shared by the transcription and photo prompts
+const APPEARANCE_PROMPT_RULES = `IMPORTANT - Use appearance-based descriptions, NOT material value terms:
+- Instead of "gold" → use "yellow metal" or "yellow-colored"
+- Instead of "silver" → use "grey metallic" or "silver-colored"  
+- Instead of "diamond" → use "clear gem" or "clear stone"
+- Instead of "platinum" → use "white metal"
+- Instead of "pearl" → use "white bead" or "iridescent bead"
+- Never assume authenticity of materials - describe only what is visually apparent`;
+
+// Category list for both prompts, from the configured categories and their descriptions
+const CATEGORY_PROMPT_RULES = `Categories: ${CATEGORIES.map(c => `${c.value} (${c.label}${c.description ? ` - ${c.description}` : ''})`).join('; ')}. Use ${FALLBACK_CATEGORY.value} when nothing else fits.`;
+
+// Build the extraction prompt for a transcription. In live mode `context` lists the items
+// recorded from earlier phrases, so "it has a cracked screen" can update one of them.
+const buildExtractionPrompt = (textToProcess, language = SPEECH_LANGUAGES[0], context = []) => `You are processing a voice transcription of hospital patient belongings for inventory tracking. Extract each distinct item and return ONLY valid JSON (no markdown, no explanation).
+
+${APPEARANCE_PROMPT_RULES}
+
+Return format:
+{"items":[{"title":"Brief item name","category":"one of: ${CATEGORIES.map(c => c.value).join(', ')}","description":"Detailed description including color, brand, condition, contents - use appearance-based terms for materials","quantity":1,"disposition":"optional, see below","original":"optional, see below"}],"unstructured":["Any part of the transcription you could not turn into an item, quoted as spoken"]}
+
+${CATEGORY_PROMPT_RULES}
+
+Language: the transcription was dictated in ${language.name} and may mix in other languages. Always write "title" and "description" in ${DOCUMENTATION_LANGUAGE}. When an item was described in a language other than ${DOCUMENTATION_LANGUAGE}, set "original" to that item's words exactly as given, in the original language, so staff can verify the translation. Otherwise leave it out.
+
+Voice commands: a line break means staff said "next item", so the next line starts a new item. A tag such as [category: jewelry] sets the category of the item on its line; never copy tags into titles or descriptions.
+
+Quantity: when identical items are mentioned together ("three rings", "two pairs of socks"), return ONE item with "quantity" set to the count and a singular title. Default quantity is 1.
+
+${MEDICATION_CATEGORY ? `Medications: for home medications (category "${MEDICATION_CATEGORY}"), add "medication":{"name":"drug name","strength":"e.g. 500 mg","form":"one of: ${MEDICATION_FORMS.join(', ')}","count":number of tablets or units if stated,"labeled":true or false if the speaker says whether the container is labeled}. Leave out fields that were not stated. Example: "bottle of metformin 500, about 30 tablets" → {"title":"Metformin bottle","category":"${MEDICATION_CATEGORY}","medication":{"name":"metformin","strength":"500 mg","form":"tablet","count":30}}.
+
+` : ''}Cash and cards: when money or cards are mentioned for an item, add "cash":{"bills":{"20":2,"5":1},"coins":0.25,"stated":40,"cards":{"credit":1,"id":1}}. "bills" maps a denomination (${CASH_DENOMINATIONS.join(', ')}) to its count, "coins" is the coin total in dollars, "stated" is a total mentioned without a breakdown ("about forty dollars"), "cards" counts cards by type (${CARD_TYPES.map(t => t.value).join(', ')}). Never include card or account numbers. Leave out anything that was not said.
+
+Disposition: only when the transcription says where an item went ("sent to safe", "patient kept their phone"), set "disposition" to one of: ${DISPOSITIONS.map(d => `${d.value} (${d.label})`).join(', ')}. Otherwise leave it out.
+
+${context.length ? `Ongoing dictation: this is the next phrase. These items were already recorded from earlier phrases:
+${context.map((item, i) => `${i + 1}. ${item.title} - ${item.description}`).join('\n')}
+Do not repeat them. When the phrase only adds details to one of them ("it has a cracked screen"), add "updates":[{"ref":its number above,"detail":"only the new detail, e.g. cracked screen"}] next to "items" instead of a new item.
+
+` : ''}Transcription to process:
+"${textToProcess}"
+
+Remember: Return ONLY the JSON object, nothing else.`;
+
+// Extract inventory items from a transcription with the configured provider.
+// Each response is validated; on problems the errors are fed back and a corrected
+// response requested. The best attempt is kept so partially valid output is salvaged.
+// When streaming, the first response reports each validated item to onItem as soon as it
+// is complete; the resolved result is still built from the whole response.
+// Resolves to { items, updates, salvaged, rejected, unstructured, errors, attempts }.
+const extractItems = async (textToProcess, config, language, { onItem, signal, context } = {}) => {
+  const messages = [{ role: 'user', content: buildExtractionPrompt(textToProcess, language, context) }];
+  let best = null;
+  let attempts = 0;
+  while (attempts < MAX_EXTRACTION_ATTEMPTS) {
+    attempts++;
+    const content = attempts === 1 && config.stream
+      ? await streamCompletion(config, messages, {
+        signal,
+        onText: createItemStreamParser(raw => {
+          const [item] = validateExtraction({ items: [raw] }).items;
+          if (item) onItem?.(item);
+        })
+      })
+      : await requestCompletion(config, messages, signal);
+    let result;
+    try {
+      result = validateExtraction(parseJsonResponse(content));
+    } catch (parseError) {
+      result = { items: [], updates: [], salvaged: [], rejected: [], unstructured: [], errors: [`Invalid JSON: ${parseError.message}`] };
+    }
+    if (!best || result.items.length > best.items.length
+      || (result.items.length === best.items.length && result.errors.length <= best.errors.length)) {
+      best = result;
+    }
+    if (result.errors.length === 0) break;
+
+    messages.push(
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your response did not match the required format:\n- ${result.errors.join('\n- ')}\n\nReturn the corrected JSON object only, in the same format, covering the whole transcription.`
+      }
+    );
+  }
+  return { ...best, attempts };
+};
+
+// Longest edge of a photo sent for description; keeps the request small
+const PHOTO_MAX_EDGE = 1024;
+
+// Re-encode an in-memory photo as a downscaled JPEG. Resolves to base64 data without the data: prefix.
+const loadPhotoAsJpeg = (url, maxEdge = PHOTO_MAX_EDGE) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, maxEdge / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/jpeg', 0.85).split(',')[1]);
+  };
+  img.onerror = () => reject(new Error('Could not read the photo'));
+  img.src = url;
+});
+
+const buildPhotoPrompt = () => `This photo shows one item from a hospital patient's belongings. Describe it for the inventory and return ONLY valid JSON (no markdown, no explanation).
+
+${APPEARANCE_PROMPT_RULES}
+
+Return format:
+{"items":[{"title":"Brief item name","category":"one of: ${CATEGORIES.map(c => c.value).join(', ')}","description":"Color, brand, markings and visible condition - use appearance-based terms for materials","quantity":1}]}
+
+${CATEGORY_PROMPT_RULES}
+
+Describe only the item itself. Do not transcribe names, ID numbers or other personal details that are visible in the photo.`;
+
+// Draft a description and category for an item photo with the configured provider.
+// Resolves to { category, description }.
+const describePhoto = async (photoUrl, config) => {
+  const data = await loadPhotoAsJpeg(photoUrl);
+  const text = await requestCompletion(config, [{
+    role: 'user',
+    content: [
+      config.provider.buildImageContent('image/jpeg', data),
+      { type: 'text', text: buildPhotoPrompt() }
+    ]
+  }]);
+  const { items } = validateExtraction(parseJsonResponse(text));
+  if (items.length === 0) throw new Error('No description came back for the photo');
+  const { category, description } = items[0];
+  return { category, description };
+};
+
+// Spoken commands recognized while recording. `phrases` can be replaced per action with
+// `voiceCommands` in site.config.json, e.g. { "nextItem": ["next item", "new item"] }.
+// The category command is followed by a category label or value ("category jewelry").
+const DEFAULT_VOICE_COMMANDS = [
+  { action: 'nextItem', phrases: ['next item'], label: 'Next item', description: 'Start a new item' },
+  { action: 'scratch', phrases: ['scratch that'], label: 'Scratch that', description: 'Remove the last phrase or command' },
+  { action: 'deleteLast', phrases: ['delete last item'], label: 'Delete last item', description: 'Remove the item being dictated, or the last item on the list when nothing is dictated' },
+  { action: 'category', phrases: ['category'], label: 'Category …', description: 'Set the category of the item being dictated' },
+  { action: 'stop', phrases: ['stop recording'], label: 'Stop recording', description: 'Stop listening' },
+  { action: 'process', phrases: ['process now'], label: 'Process now', description: 'Stop listening and process the transcript' }
+];
+const VOICE_COMMANDS = DEFAULT_VOICE_COMMANDS.map(command => ({
+  ...command,
+  phrases: siteConfig.voiceCommands?.[command.action]?.length ? siteConfig.voiceCommands[command.action] : command.phrases
+}));
+
+const VOICE_COMMAND_PATTERN = (() => {
+  const source = (phrase) => phrase.trim().split(/\s+/).map(escapeRegExp).join('[\\s,]+');
+  const categoryNames = CATEGORIES.flatMap(c => [c.label, c.value])
+    .sort((a, b) => b.length - a.length)
+    .map(source)
+    .join('|');
+  return new RegExp(VOICE_COMMANDS.map(({ action, phrases }) => (
+    `\\b(?<${action}>${phrases.map(source).join('|')})${action === 'category' ? `[\\s,:]+(?<categoryName>${categoryNames})` : ''}\\b`
+  )).join('|'), 'gi');
+})();
+
+// Split a final speech result into dictated text and commands:
+// [{ type: 'text', text } | { type: 'command', action, category? }] in spoken order
+const parseVoiceCommands = (text) => {
+  const segments = [];
+  const pushText = (piece) => {
+    const trimmed = piece.replace(/^[\s.,;!?]+|[\s,;]+$/g, '');
+    if (trimmed) segments.push({ type: 'text', text: trimmed });
+  };
+  let last = 0;
+  for (const match of text.matchAll(VOICE_COMMAND_PATTERN)) {
+    pushText(text.slice(last, match.index));
+    const action = VOICE_COMMANDS.find(command => match.groups[command.action] !== undefined).action;
+    last = match.index + match[0].length;
+    if (action === 'category') {
+      // Labels and values are matched the way they were heard: any case, any spacing
+      const spoken = (name) => name.trim().replace(/[\s,]+/g, ' ').toLowerCase();
+      const name = spoken(match.groups.categoryName);
+      const category = CATEGORIES.find(c => spoken(c.label) === name || spoken(c.value) === name);
+      // A name the pattern matched but no category claims is dropped rather than guessed
+      if (category) segments.push({ type: 'command', action, category: category.value });
+      continue;
+    }
+    segments.push({ type: 'command', action });
+  }
+  pushText(text.slice(last));
+  return segments;
+};
+
+// The dictated transcript is kept as entries so commands can act on phrases and items:
+// { type: 'text', text } | { type: 'break' } (item boundary) | { type: 'category', value }
+const formatTranscript = (entries) => entries.map((entry, i) => {
+  if (entry.type === 'break') return '\n';
+  const text = entry.type === 'category' ? `[category: ${entry.value}]` : entry.text;
+  return i > 0 && entries[i - 1].type !== 'break' ? ` ${text}` : text;
+}).join('');
+
+// Apply parsed speech to the transcript entries. Resolves to { entries, actions } where
+// `actions` lists what the app must do beyond the transcript ('stop', 'process',
+// 'deleteListItem', 'scratchPrevious').
+const applyVoiceSegments = (entries, segments) => segments.reduce(({ entries: current, actions }, segment) => {
+  if (segment.type === 'text') return { entries: [...current, segment], actions };
+  switch (segment.action) {
+    case 'nextItem':
+      return { entries: current.length && current[current.length - 1].type !== 'break' ? [...current, { type: 'break' }] : current, actions };
+    case 'scratch':
+      // Nothing left to scratch here: the caller may undo its own last step instead
+      return current.length ? { entries: current.slice(0, -1), actions } : { entries: current, actions: [...actions, 'scratchPrevious'] };
+    case 'deleteLast': {
+      // Drop the item being dictated (back to the previous boundary), keeping that boundary
+      let end = current.length;
+      while (end > 0 && current[end - 1].type === 'break') end--;
+      if (end === 0) return { entries: [], actions: [...actions, 'deleteListItem'] };
+      const start = current.slice(0, end).map(entry => entry.type).lastIndexOf('break') + 1;
+      return { entries: current.slice(0, start), actions };
+    }
+    case 'category':
+      return { entries: [...current, { type: 'category', value: segment.category }], actions };
+    default:
+      return { entries: current, actions: [...actions, segment.action] };
+  }
+}, { entries, actions: [] });
+
+// Stable per-item ids so card state (an open editor, a drag) follows the item, not its position.
+// Ids stay in memory; they are never exported.
+let lastItemId = 0;
+const withItemId = (item) => (item.id ? item : { ...item, id: `item-${++lastItemId}` });
+
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+// Combine several items into one. Quantities, photos and cash counts add up, distinct
+// descriptions are joined; title, category, disposition and medication come from the first
+// item that has them.
+const mergeItems = (group) => {
+  const [first] = group;
+  const descriptions = [...new Set(group.map(item => item.description.trim()).filter(Boolean))];
+  const photos = group.flatMap(item => item.photos || []);
+  const tallies = group.map(getCash).filter(Boolean);
+  const sum = (values) => values.reduce((total, value) => total + (Number(value) || 0), 0);
+  const cash = normalizeCash({
+    bills: Object.fromEntries(CASH_DENOMINATIONS.map(d => [d, sum(tallies.map(t => t.bills[d]))])),
+    coins: sum(tallies.map(t => t.coins)),
+    stated: sum(tallies.map(t => t.stated)),
+    cards: Object.fromEntries(CARD_TYPES.map(type => [type.value, sum(tallies.map(t => t.cards[type.value]))]))
+  });
+  const { photos: _photos, cash: _cash, duplicateOf: _duplicateOf, ...rest } = first;
+  return {
+    ...rest,
+    description: descriptions.join('; '),
+    quantity: sum(group.map(getQuantity)),
+    disposition: group.find(getDisposition)?.disposition || null,
+    ...(group.find(getMedication) ? { medication: group.find(getMedication).medication } : {}),
+    ...(photos.length ? { photos } : {}),
+    ...(cash ? { cash } : {})
+  };
+};
+
+// Suggested { title, description } rows when splitting an item: the item itself, then each
+// thing listed after a contents cue ("wallet with cards and cash" → wallet, cards, cash).
+// Without a contents list the suggestion is the item plus one blank row.
+const suggestSplit = (item) => {
+  const [main, ...rest] = item.description.split(CONTENTS_CUE);
+  const contents = rest.join(' ')
+    .split(/,|\band\b/i)
+    .map(piece => piece.replace(/^\s*(?:a|an|the|some)\s+/i, '').trim())
+    .filter(Boolean);
+  if (contents.length === 0) return [{ title: item.title, description: item.description }, { title: '', description: '' }];
+  return [
+    { title: item.title, description: main.trim().replace(/[\s,]+$/, '') || item.description },
+    ...contents.map(piece => ({ title: capitalize(piece), description: piece }))
+  ];
+};
+
+// Duplicate detection for processed batches. Items are compared by the words of their title
+// and description (Dice coefficient), only within the same category, since re-processing an
+// overlapping transcript repeats the same words while a second black sock still says "black sock".
+const DUPLICATE_THRESHOLD = 0.6;
+const MATCH_STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'of', 'with', 'in', 'on', 'one', 'some', 'pair']);
+
+const matchWords = (text) => new Set(
+  (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/)
+    .filter(word => word && !MATCH_STOP_WORDS.has(word))
+    .map(word => word.replace(/([^s])s$/, '$1'))
+);
+
+const wordSimilarity = (a, b) => {
+  const wordsA = matchWords(a);
+  const wordsB = matchWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+const getDuplicateScore = (incoming, existing) => {
+  if (incoming.category !== existing.category) return 0;
+  return 0.6 * wordSimilarity(incoming.title, existing.title) + 0.4 * wordSimilarity(incoming.description, existing.description);
+};
+
+// For each incoming item, its closest existing item when similar enough to review:
+// [{ item, match, score }] in incoming order
+const findDuplicates = (incoming, existing) => incoming
+  .map(item => existing.reduce((best, candidate) => {
+    const score = getDuplicateScore(item, candidate);
+    return score >= DUPLICATE_THRESHOLD && score > (best?.score || 0) ? { item, match: candidate, score } : best;
+  }, null))
+  .filter(Boolean);
+
+// Fold a re-mentioned item into the one already listed. Unlike mergeItems() nothing is added
+// up - it is the same belonging described twice - so the listed item keeps its quantity, counts
+// and destination and only gains details it was missing.
+const mergeDuplicate = (existing, incoming) => {
+  // The new description is only appended when it says something the listed one does not
+  const listedWords = matchWords(existing.description);
+  const addsDetail = [...matchWords(incoming.description)].some(word => !listedWords.has(word));
+  const descriptions = [existing.description, addsDetail ? incoming.description : ''].map(d => (d || '').trim()).filter(Boolean);
+  const photos = [...(existing.photos || []), ...(incoming.photos || [])];
+  return {
+    ...existing,
+    description: descriptions.join('; '),
+    quantity: Math.max(getQuantity(existing), getQuantity(incoming)),
+    disposition: existing.disposition || incoming.disposition || null,
+    ...(!getMedication(existing) && getMedication(incoming) ? { medication: incoming.medication } : {}),
+    ...(!getCash(existing) && getCash(incoming) ? { cash: incoming.cash } : {}),
+    ...(photos.length ? { photos } : {})
+  };
+};
+
+// Onboarding Modal Component - Dark futuristic design
+const OnboardingModal = ({ onAccept }) => {
+  const [understood, setUnderstood] = useState(false);
+  
+  return (
+    <div style={{
+      position: 'fixed', inset: 0, 
+      background: theme.dark.bgGradient,
+      display: 'flex', flexDirection: 'column', alignItems: 'center',
+      justifyContent: 'center', padding: '20px', zIndex: 1000,
+      fontFamily: 'DM Sans, -apple-system, sans-serif',
+      overflow: 'hidden'
+    }}>
+      {/* Glassmorphism Card with Banner inside */}
+      <div style={{
+        background: theme.dark.surface,
+        backdropFilter: 'blur(12px)',
+        borderRadius: '20px', padding: '0',
+        maxWidth: '460px', width: '100%',
+        border: `1px solid ${theme.dark.accentGlow}`,
+        boxShadow: `0 0 40px ${theme.dark.accentGlow}, inset 0 1px 0 rgba(255,255,255,0.05)`,
+        display: 'flex',
+        flexDirection: 'column'
+      }}>
+        {/* Banner Hero Image inside card */}
+        <div style={{
+          width: '100%', 
+          background: 'linear-gradient(180deg, rgba(0,212,170,0.05) 0%, transparent 100%)',
+          padding: '20px 20px 16px 20px',
+          display: 'flex', 
+          justifyContent: 'center',
+          alignItems: 'center',
+          flexShrink: 0,
+          boxSizing: 'border-box'
+        }}>
+          <img 
+            src={bannerImage} 
+            alt="QR Code Belongings Inventory" 
+            style={{
+              width: '100%',
+              maxWidth: '100%',
+              height: 'auto',
+              objectFit: 'contain', 
+              filter: 'drop-shadow(0 0 20px rgba(0, 212, 170, 0.3))',
+              display: 'block'
+            }}
+          />
+        </div>
+        
+        {/* Card content - centered */}
+        <div style={{ 
+          padding: '4px 32px 32px 32px',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          flexShrink: 0
+        }}>
+          {/* Title with glow effect */}
+          <h2 style={{ 
+            textAlign: 'center', marginBottom: '20px', 
+            color: theme.dark.text, fontSize: '1.5rem', fontWeight: '700',
+            textShadow: `0 0 20px ${theme.dark.accentGlow}`,
+            width: '100%'
+          }}>
+            <span style={{ color: theme.dark.accent }}>PHI-Safe</span> Inventory Tool
+          </h2>
+        
+        <div style={{ 
+          marginBottom: '24px', 
+          color: theme.dark.textMuted, 
+          lineHeight: '1.6',
+          width: '100%',
+          textAlign: 'center'
+        }}>
+          <p style={{ marginBottom: '16px', color: theme.dark.text }}>
+            This tool is designed with <strong style={{ color: theme.dark.accent }}>zero data storage</strong>:
+          </p>
+          <ul style={{ paddingLeft: '0', listStyle: 'none', textAlign: 'left', maxWidth: '380px', margin: '0 auto' }}>
+            {[
+              'All information exists only in this browser tab',
+              'Closing or refreshing permanently erases all data',
+              'Generate and scan the QR code before closing'
+            ].map((text, i) => (
+              <li key={i} style={{ 
+                padding: '10px 0', display: 'flex', alignItems: 'flex-start', gap: '12px',
+                borderBottom: i < 2 ? `1px solid rgba(255,255,255,0.05)` : 'none'
+              }}>
+                <span style={{ 
+                  color: theme.dark.accent, fontSize: '1.1rem', marginTop: '2px',
+                  textShadow: `0 0 10px ${theme.dark.accent}`,
+                  flexShrink: 0
+                }}>✓</span>
+                <span style={{ color: theme.dark.text, fontSize: '0.9375rem' }}>{text}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+        
+        {/* Checkbox - centered */}
+        <label style={{
+          display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '12px',
+          marginBottom: '20px', cursor: 'pointer', 
+          padding: '12px 16px', borderRadius: '12px',
+          background: understood ? 'rgba(0, 212, 170, 0.1)' : 'rgba(255,255,255,0.03)',
+          border: `1px solid ${understood ? theme.dark.accent : 'rgba(255,255,255,0.1)'}`,
+          transition: 'all 0.2s',
+          width: '100%',
+          maxWidth: '380px',
+          marginLeft: 'auto',
+          marginRight: 'auto'
+        }}>
+          <input 
+            type="checkbox" 
+            checked={understood} 
+            onChange={(e) => setUnderstood(e.target.checked)}
+            style={{ 
+              width: '22px', height: '22px', accentColor: theme.dark.accent,
+              cursor: 'pointer',
+              flexShrink: 0
+            }}
+          />
+          <span style={{ color: theme.dark.text, fontSize: '0.9375rem', fontWeight: '500' }}>
+            I understand this data is temporary
+          </span>
+        </label>
+        
+        {/* Glowing Continue Button - centered */}
+        <button 
+          disabled={!understood}
+          onClick={onAccept}
+          style={{
+            width: '100%', 
+            maxWidth: '380px',
+            padding: '16px 24px', 
+            fontSize: '1.0625rem', 
+            fontWeight: '600',
+            border: 'none', 
+            borderRadius: '12px',
+            background: understood 
+              ? `linear-gradient(135deg, ${theme.dark.accent} 0%, #00a896 100%)` 
+              : 'rgba(255,255,255,0.1)',
+            color: understood ? '#0a0f1a' : theme.dark.textMuted,
+            cursor: understood ? 'pointer' : 'not-allowed',
+            boxShadow: understood 
+              ? `0 0 30px ${theme.dark.accentGlow}, 0 4px 15px rgba(0,0,0,0.3)` 
+              : 'none',
+            transition: 'all 0.3s',
+            flexShrink: 0
+          }}
+        >
+          {understood ? '→ Continue to App' : 'Please confirm above'}
+        </button>
+        </div>
+      </div>
+      
+      {/* Footer text */}
+      <p style={{ 
+        marginTop: '20px', color: theme.dark.textMuted, fontSize: '0.75rem',
+        textAlign: 'center', opacity: 0.7
+      }}>
+        Voice-to-inventory with QR export for EHR integration
+      </p>
+    </div>
+  );
+};
+
+// Microphone level meter: how often the level is sampled, the level (0-1) below which the
+// microphone counts as silent, and how long silence may last while recording before a warning
+const LEVEL_SAMPLE_MS = 100;
+const SILENCE_LEVEL = 0.05;
+const SILENCE_WARNING_SECONDS = 8;
+const MIC_TEST_SECONDS = 5;
+const LEVEL_BARS = 5;
+
+// Open the microphone and report its level (0-1) every LEVEL_SAMPLE_MS. Speech recognition
+// doesn't expose its audio, so the meter listens to a stream of its own.
+// Resolves to a function that stops the meter and releases the stream.
+const openMicMeter = async (onLevel) => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  let context = null;
+  let timer = null;
+  const stop = () => {
+    clearInterval(timer);
+    stream.getTracks().forEach(track => track.stop());
+    if (context && context.state !== 'closed') context.close().catch(() => {});
+  };
+  try {
+    context = new (window.AudioContext || window.webkitAudioContext)();
+    // iOS starts the context suspended when it is created outside the tap that asked for it
+    context.resume().catch(() => {});
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Uint8Array(analyser.fftSize);
+    timer = setInterval(() => {
+      analyser.getByteTimeDomainData(samples);
+      let sum = 0;
+      for (const sample of samples) sum += ((sample - 128) / 128) ** 2;
+      onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 5));
+    }, LEVEL_SAMPLE_MS);
+  } catch (e) {
+    stop();
+    throw e;
+  }
+  return stop;
+};
+
+const describeMicError = (e) => {
+  if (!navigator.mediaDevices) return 'This browser cannot open the microphone for a test.';
+  switch (e?.name) {
+    case 'NotAllowedError':
+      return 'Microphone access denied. Please enable microphone permissions in your browser settings.';
+    case 'NotFoundError':
+      return 'No microphone found. Please check that your microphone is connected.';
+    case 'NotReadableError':
+      return 'The microphone is in use by another app. Close it and try again.';
+    default:
+      return 'Could not open the microphone. Please try again.';
+  }
+};
+
+// Recording duration as m:ss
+const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Level Meter Component - bars of increasing height, lit by the microphone level
+const LevelMeter = ({ level }) => (
+  <div role="meter" aria-label="Microphone level" aria-valuemin={0} aria-valuemax={100}
+    aria-valuenow={Math.round(level * 100)}
+    style={{ display: 'flex', alignItems: 'flex-end', gap: '3px', height: '20px' }}>
+    {Array.from({ length: LEVEL_BARS }, (_, i) => (
+      <div key={i} style={{
+        width: '5px', height: `${8 + i * 3}px`, borderRadius: '2px',
+        background: level > SILENCE_LEVEL + i * (1 - SILENCE_LEVEL) / LEVEL_BARS ? '#0d9488' : '#e2e8f0',
+        transition: 'background 0.1s'
+      }} />
+    ))}
+  </div>
+);
+
+// Mic Test Panel Component - live levels for a few seconds, then whether anything was heard
+const MIC_TEST_MESSAGES = {
+  listening: 'Say a few words - the bars should move while you speak.',
+  heard: '✓ Microphone is working.',
+  silent: 'No sound picked up. Check that the microphone isn\'t muted or covered and that the browser is using the right one.'
+};
+
+const MicTestPanel = ({ test, level, onClose }) => (
+  <div role="status" style={{
+    display: 'flex', alignItems: 'center', gap: '12px', width: '100%', boxSizing: 'border-box',
+    marginTop: '12px', padding: '10px 12px', borderRadius: '12px', fontSize: '0.8125rem',
+    background: test.status === 'heard' ? 'rgba(13, 148, 136, 0.08)' : test.status === 'listening' ? '#f8fafc' : '#fffbeb',
+    color: test.status === 'heard' ? '#0f766e' : test.status === 'listening' ? '#475569' : '#92400e',
+    border: `1px solid ${test.status === 'heard' ? 'rgba(13, 148, 136, 0.25)' : test.status === 'listening' ? '#e2e8f0' : '#fde68a'}`
+  }}>
+    {test.status === 'listening' && <LevelMeter level={level ?? 0} />}
+    <span style={{ flex: 1 }}>{test.message || MIC_TEST_MESSAGES[test.status]}</span>
+    <button onClick={onClose} aria-label="Close microphone test" style={{
+      border: 'none', background: 'transparent', color: 'inherit', cursor: 'pointer', fontSize: '1rem', padding: '2px 6px'
+    }}>×</button>
+  </div>
+);
+
+// Recording Button Component
+const RecordButton = ({ isRecording, onClick, disabled }) => (
+  <button 
+    onClick={onClick}
+    disabled={disabled}
+    style={{
+      width: '80px', height: '80px', borderRadius: '50%', border: 'none',
+      background: isRecording 
+        ? 'linear-gradient(145deg, #fecaca, #fca5a5)' 
+        : 'linear-gradient(145deg, #f0f4f7, #e2e8f0)',
+      boxShadow: isRecording 
+        ? '6px 6px 12px rgba(239, 68, 68, 0.3), -6px -6px 12px #ffffff'
+        : '6px 6px 12px #d1d5db, -6px -6px 12px #ffffff',
+      cursor: 'pointer', position: 'relative', display: 'flex',
+      alignItems: 'center', justifyContent: 'center'
+    }}
+  >
+    <div style={{
+      width: isRecording ? '32px' : '56px',
+      height: isRecording ? '32px' : '56px',
+      borderRadius: isRecording ? '8px' : '50%',
+      background: isRecording ? '#ef4444' : '#0d9488',
+      display: 'flex', alignItems: 'center', justifyContent: 'center',
+      transition: 'all 0.2s'
+    }}>
+      {isRecording ? (
+        <div style={{ width: '20px', height: '20px', background: 'white', borderRadius: '4px' }} />
+      ) : (
+        <svg viewBox="0 0 24 24" fill="white" style={{ width: '28px', height: '28px' }}>
+          <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
+          <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
+        </svg>
+      )}
+    </div>
+  </button>
+);
+
+// Shared style for the medication fields in the item editor
+const medicationInputStyle = {
+  width: '100%', padding: '8px 10px', border: '1px solid #e2e8f0',
+  borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.875rem', background: 'white'
+};
+
+// Cash Tally Component - denomination and card counts with a running total
+const CashTally = ({ cash, onChange, onRemove }) => {
+  const total = getCashTotalCents(normalizeCash(cash) || EMPTY_CASH);
+  const setBill = (d, value) => onChange({ ...cash, bills: { ...cash.bills, [d]: value } });
+  const setCard = (type, value) => onChange({ ...cash, cards: { ...cash.cards, [type]: value } });
+  const labelStyle = { fontSize: '0.8125rem', color: '#64748b', fontFamily: 'DM Sans, sans-serif' };
+
+  return (
+    <div style={{
+      marginBottom: '8px', padding: '10px', borderRadius: '8px', background: 'white', border: '1px solid #e2e8f0'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontSize: '0.75rem', fontWeight: '600', color: '#64748b', fontFamily: 'DM Sans, sans-serif' }}>💵 CASH & CARDS</span>
+        <button onClick={onRemove} style={{
+          border: 'none', background: 'transparent', color: '#ef4444', fontSize: '0.75rem',
+          cursor: 'pointer', fontFamily: 'DM Sans, sans-serif'
+        }}>Remove</button>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px 12px', marginBottom: '8px' }}>
+        {CASH_DENOMINATIONS.map(d => (
+          <label key={d} style={{ display: 'flex', alignItems: 'center', gap: '8px', ...labelStyle }}>
+            <span style={{ width: '40px', fontWeight: '600', color: '#1e293b' }}>${d}</span>×
+            <input
+              type="number" min="0" inputMode="numeric" value={cash.bills[d] || ''} placeholder="0"
+              onChange={(e) => setBill(d, e.target.value)}
+              style={{ ...medicationInputStyle, padding: '6px 8px' }}
+            />
+          </label>
+        ))}
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', ...labelStyle }}>
+          <span style={{ width: '40px', fontWeight: '600', color: '#1e293b' }}>Coins</span>$
+          <input
+            type="number" min="0" step="0.01" inputMode="decimal" value={cash.coins || ''} placeholder="0.00"
+            onChange={(e) => onChange({ ...cash, coins: e.target.value })}
+            style={{ ...medicationInputStyle, padding: '6px 8px' }}
+          />
+        </label>
+      </div>
+      <div style={{
+        display: 'flex', justifyContent: 'space-between', padding: '8px 0', marginBottom: '8px',
+        borderTop: '1px solid #e2e8f0', borderBottom: '1px solid #e2e8f0', fontFamily: 'DM Sans, sans-serif'
+      }}>
+        <span style={{ fontWeight: '600' }}>Counted total</span>
+        <span style={{ fontWeight: '700', color: '#0d9488' }}>{formatMoney(total)}</span>
+      </div>
+      {cash.stated && !total && (
+        <p style={{ ...labelStyle, color: '#b45309', marginBottom: '8px' }}>
+          ⚠️ {formatMoney(cash.stated * 100)} was stated but not counted. Count the bills above.
+        </p>
+      )}
+      <div style={{ ...labelStyle, marginBottom: '6px' }}>Cards by type (no numbers)</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px 12px' }}>
+        {CARD_TYPES.map(type => (
+          <label key={type.value} style={{ display: 'flex', alignItems: 'center', gap: '8px', ...labelStyle }}>
+            <span style={{ flex: 1, color: '#1e293b' }}>{capitalize(type.label)}</span>
+            <input
+              type="number" min="0" inputMode="numeric" value={cash.cards[type.value] || ''} placeholder="0"
+              onChange={(e) => setCard(type.value, e.target.value)}
+              style={{ ...medicationInputStyle, width: '64px', padding: '6px 8px' }}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Inventory Item Card Component
+const InventoryItem = ({ item, index, duplicateOf, onDismissDuplicate, onUpdate, onDelete, onDescribePhoto, onSplit }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editData, setEditData] = useState(item);
+  const [describingUrl, setDescribingUrl] = useState(null);
+  const [photoError, setPhotoError] = useState(null);
+  const categoryInfo = getCategory(item);
+  const disposition = getDisposition(item);
+  const medication = getMedication(item);
+  const tallyLines = getTallyLines(item);
+  const photos = item.photos || [];
+
+  const editMedication = editData.medication || EMPTY_MEDICATION;
+
+  const startEditing = (draft = {}) => {
+    setEditData({ ...item, ...draft });
+    setIsEditing(true);
+  };
+
+  // Switching to the medication category opens the medication fields and applies the routing policy
+  const changeCategory = (category) => setEditData(prev => (
+    category === MEDICATION_CATEGORY && prev.category !== MEDICATION_CATEGORY
+      ? { ...prev, category, disposition: prev.disposition || MEDICATION_DISPOSITION }
+      : { ...prev, category }
+  ));
+
+  const setMedicationField = (field, value) => setEditData(prev => ({
+    ...prev, medication: { ...(prev.medication || EMPTY_MEDICATION), [field]: value }
+  }));
+
+  const saveEdit = () => {
+    const { medication, cash, ...rest } = editData;
+    const normalizedMedication = rest.category === MEDICATION_CATEGORY ? normalizeMedication(medication) : null;
+    const normalizedCash = normalizeCash(cash);
+    onUpdate(index, {
+      ...rest,
+      quantity: getQuantity(editData),
+      ...(normalizedMedication ? { medication: normalizedMedication } : {}),
+      ...(normalizedCash ? { cash: normalizedCash } : {})
+    });
+    setIsEditing(false);
+  };
+
+  // Photos are held as object URLs only; the app revokes them once no item references them
+  const addPhotos = (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = '';
+    if (files.length === 0) return;
+    onUpdate(index, { ...item, photos: [...photos, ...files.map(file => ({ url: URL.createObjectURL(file) }))] });
+  };
+
+  const removePhoto = (url) => onUpdate(index, { ...item, photos: photos.filter(photo => photo.url !== url) });
+
+  // The AI draft opens the edit form so staff review it before saving
+  const describe = async (url) => {
+    setDescribingUrl(url);
+    setPhotoError(null);
+    try {
+      startEditing(await onDescribePhoto(url));
+    } catch (err) {
+      console.error('Photo description error:', err);
+      setPhotoError(err.message || 'Could not describe the photo');
+    } finally {
+      setDescribingUrl(null);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <div style={{
+        background: '#f0f4f7', borderRadius: '12px', padding: '14px',
+        border: '2px solid #0d9488', boxShadow: '0 0 0 3px rgba(13, 148, 136, 0.1)'
+      }}>
+        <input
+          type="text" value={editData.title}
+          onChange={(e) => setEditData({...editData, title: e.target.value})}
+          placeholder="Item title"
+          style={{
+            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
+            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+            marginBottom: '8px', fontWeight: '600'
+          }}
+        />
+        <select
+          value={getCategory(editData).value}
+          onChange={(e) => changeCategory(e.target.value)}
+          style={{
+            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
+            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+            marginBottom: '8px', background: 'white'
+          }}
+        >
+          {CATEGORIES.map(cat => (
+            <option key={cat.value} value={cat.value}>{cat.icon} {cat.label}</option>
+          ))}
+        </select>
+        <select
+          value={editData.disposition || ''}
+          onChange={(e) => setEditData({...editData, disposition: e.target.value || null})}
+          aria-label="Disposition"
+          style={{
+            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
+            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+            marginBottom: '8px', background: 'white'
+          }}
+        >
+          <option value="">Disposition not assigned</option>
+          {DISPOSITIONS.map(d => (
+            <option key={d.value} value={d.value}>{d.icon} {d.label}</option>
+          ))}
+        </select>
+        {MEDICATION_CATEGORY && editData.category === MEDICATION_CATEGORY && (
+          <div style={{
+            display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px',
+            padding: '10px', borderRadius: '8px', background: 'white', border: '1px solid #e2e8f0'
+          }}>
+            <div style={{ gridColumn: '1 / -1', fontSize: '0.75rem', fontWeight: '600', color: '#64748b', fontFamily: 'DM Sans, sans-serif' }}>
+              💊 MEDICATION
+            </div>
+            <input
+              type="text" value={editMedication.name} placeholder="Drug name" aria-label="Drug name"
+              onChange={(e) => setMedicationField('name', e.target.value)}
+              style={{ ...medicationInputStyle, gridColumn: '1 / -1' }}
+            />
+            <input
+              type="text" value={editMedication.strength} placeholder="Strength (e.g. 500 mg)" aria-label="Strength"
+              onChange={(e) => setMedicationField('strength', e.target.value)}
+              style={medicationInputStyle}
+            />
+            <select value={editMedication.form} aria-label="Form"
+              onChange={(e) => setMedicationField('form', e.target.value)}
+              style={medicationInputStyle}>
+              <option value="">Form</option>
+              {MEDICATION_FORMS.map(form => <option key={form} value={form}>{capitalize(form)}</option>)}
+            </select>
+            <input
+              type="number" min="1" inputMode="numeric" value={editMedication.count ?? ''} placeholder="Pill count" aria-label="Pill count"
+              onChange={(e) => setMedicationField('count', e.target.value)}
+              style={medicationInputStyle}
+            />
+            <select value={editMedication.labeled === null ? '' : String(editMedication.labeled)} aria-label="Container labeled"
+              onChange={(e) => setMedicationField('labeled', e.target.value === '' ? null : e.target.value === 'true')}
+              style={medicationInputStyle}>
+              <option value="">Label unknown</option>
+              <option value="true">Labeled container</option>
+              <option value="false">Not labeled</option>
+            </select>
+          </div>
+        )}
+        {editData.cash ? (
+          <CashTally
+            cash={editData.cash}
+            onChange={(cash) => setEditData(prev => ({ ...prev, cash }))}
+            onRemove={() => setEditData(({ cash, ...rest }) => rest)}
+          />
+        ) : (
+          <button onClick={() => setEditData(prev => ({ ...prev, cash: EMPTY_CASH }))} style={{
+            width: '100%', padding: '10px 12px', marginBottom: '8px', fontSize: '0.875rem',
+            border: '1px dashed #cbd5e1', borderRadius: '8px', background: 'white', color: '#0d9488',
+            cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', fontWeight: '500'
+          }}>💵 Count cash & cards</button>
+        )}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+          <span style={{ flex: 1, fontSize: '0.875rem', color: '#64748b', fontFamily: 'DM Sans, sans-serif' }}>Quantity</span>
+          <button onClick={() => setEditData({...editData, quantity: Math.max(1, getQuantity(editData) - 1)})}
+            disabled={getQuantity(editData) <= 1} aria-label="Decrease quantity"
+            style={{
+              width: '44px', height: '44px', fontSize: '1.25rem', border: '1px solid #e2e8f0',
+              borderRadius: '8px', background: 'white', color: getQuantity(editData) <= 1 ? '#cbd5e1' : '#0d9488',
+              cursor: getQuantity(editData) <= 1 ? 'not-allowed' : 'pointer'
+            }}>−</button>
+          <input
+            type="number" min="1" inputMode="numeric" value={editData.quantity ?? 1}
+            onChange={(e) => setEditData({...editData, quantity: e.target.value})}
+            onBlur={() => setEditData({...editData, quantity: getQuantity(editData)})}
+            aria-label="Quantity"
+            style={{
+              width: '56px', height: '44px', textAlign: 'center', border: '1px solid #e2e8f0',
+              borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '1rem', fontWeight: '600'
+            }}
+          />
+          <button onClick={() => setEditData({...editData, quantity: getQuantity(editData) + 1})}
+            aria-label="Increase quantity"
+            style={{
+              width: '44px', height: '44px', fontSize: '1.25rem', border: '1px solid #e2e8f0',
+              borderRadius: '8px', background: 'white', color: '#0d9488', cursor: 'pointer'
+            }}>+</button>
+        </div>
+        <textarea
+          value={editData.description}
+          onChange={(e) => setEditData({...editData, description: e.target.value})}
+          placeholder="Description" rows={2}
+          style={{
+            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
+            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+            marginBottom: '8px', resize: 'none'
+          }}
+        />
+        {editData.original && (
+          <div style={{
+            fontSize: '0.8125rem', color: '#1e293b', marginBottom: '8px', padding: '6px 10px',
+            background: 'white', border: '1px solid #e2e8f0', borderRadius: '8px', fontFamily: 'DM Sans, sans-serif'
+          }}>
+            <div style={{ fontSize: '0.75rem', fontWeight: '600', color: '#64748b' }}>🌐 AS SPOKEN</div>
+            <div dir="auto">{editData.original}</div>
+          </div>
+        )}
+        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+          {onSplit && (
+            <button onClick={() => { setIsEditing(false); onSplit(index); }}
+              style={{
+                padding: '8px 16px', fontSize: '0.875rem', border: '1px solid #e2e8f0', marginRight: 'auto',
+                borderRadius: '8px', background: 'white', color: '#0d9488', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif'
+              }}>Split…</button>
+          )}
+          <button onClick={() => { setEditData(item); setIsEditing(false); }}
+            style={{
+              padding: '8px 16px', fontSize: '0.875rem', border: '1px solid #e2e8f0',
+              borderRadius: '8px', background: 'white', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif'
+            }}>Cancel</button>
+          <button onClick={saveEdit}
+            style={{
+              padding: '8px 16px', fontSize: '0.875rem', border: 'none',
+              borderRadius: '8px', background: '#0d9488', color: 'white',
+              cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', fontWeight: '600'
+            }}>Save</button>
+        </div>
+      </div>
+    );
+  }
 
-// Onboarding Modal Component - Dark futuristic design
-const OnboardingModal = ({ onAccept }) => {
-  const [understood, setUnderstood] = useState(false);
-  
   return (
     <div style={{
-      position: 'fixed', inset: 0, 
-      background: theme.dark.bgGradient,
-      display: 'flex', flexDirection: 'column', alignItems: 'center',
-      justifyContent: 'center', padding: '20px', zIndex: 1000,
-      fontFamily: 'DM Sans, -apple-system, sans-serif',
-      overflow: 'hidden'
+      background: '#f0f4f7', borderRadius: '12px', padding: '14px',
+      border: '1px solid #e2e8f0'
     }}>
-      {/* Glassmorphism Card with Banner inside */}
-      <div style={{
-        background: theme.dark.surface,
-        backdropFilter: 'blur(12px)',
-        borderRadius: '20px', padding: '0',
-        maxWidth: '460px', width: '100%',
-        border: `1px solid ${theme.dark.accentGlow}`,
-        boxShadow: `0 0 40px ${theme.dark.accentGlow}, inset 0 1px 0 rgba(255,255,255,0.05)`,
-        display: 'flex',
-        flexDirection: 'column'
-      }}>
-        {/* Banner Hero Image inside card */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ fontSize: '1.25rem' }}>{categoryInfo.icon}</span>
+        <span style={{ fontWeight: '600', flex: 1, fontFamily: 'DM Sans, sans-serif' }}>{item.title}</span>
+        {getQuantity(item) > 1 && (
+          <span style={{
+            fontSize: '0.75rem', fontWeight: '700', color: 'white', background: '#0d9488',
+            padding: '2px 8px', borderRadius: '9999px'
+          }}>×{getQuantity(item)}</span>
+        )}
+        <span style={{
+          fontSize: '0.75rem', color: '#64748b', background: 'white',
+          padding: '2px 8px', borderRadius: '9999px'
+        }}>#{index + 1}</span>
+      </div>
+      {duplicateOf && (
         <div style={{
-          width: '100%', 
-          background: 'linear-gradient(180deg, rgba(0,212,170,0.05) 0%, transparent 100%)',
-          padding: '20px 20px 16px 20px',
-          display: 'flex', 
-          justifyContent: 'center',
-          alignItems: 'center',
-          flexShrink: 0,
-          boxSizing: 'border-box'
+          display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px', padding: '4px 4px 4px 10px',
+          fontSize: '0.75rem', fontWeight: '500', color: '#92400e', background: '#fffbeb',
+          border: '1px solid #fde68a', borderRadius: '9999px', fontFamily: 'DM Sans, sans-serif'
         }}>
-          <img 
-            src={bannerImage} 
-            alt="QR Code Belongings Inventory" 
-            style={{
-              width: '100%',
-              maxWidth: '100%',
-              height: 'auto',
-              objectFit: 'contain', 
-              filter: 'drop-shadow(0 0 20px rgba(0, 212, 170, 0.3))',
-              display: 'block'
-            }}
-          />
+          <span style={{ flex: 1 }}>⚠️ Possible duplicate of {duplicateOf}</span>
+          <button onClick={onDismissDuplicate} aria-label="Not a duplicate" title="Not a duplicate" style={{
+            width: '24px', height: '24px', border: 'none', borderRadius: '9999px', background: 'transparent',
+            color: '#92400e', fontSize: '0.875rem', lineHeight: 1, cursor: 'pointer'
+          }}>×</button>
         </div>
-        
-        {/* Card content - centered */}
-        <div style={{ 
-          padding: '4px 32px 32px 32px',
-          display: 'flex',
-          flexDirection: 'column',
-          alignItems: 'center',
-          flexShrink: 0
-        }}>
-          {/* Title with glow effect */}
-          <h2 style={{ 
-            textAlign: 'center', marginBottom: '20px', 
-            color: theme.dark.text, fontSize: '1.5rem', fontWeight: '700',
-            textShadow: `0 0 20px ${theme.dark.accentGlow}`,
-            width: '100%'
-          }}>
-            <span style={{ color: theme.dark.accent }}>PHI-Safe</span> Inventory Tool
-          </h2>
-        
-        <div style={{ 
-          marginBottom: '24px', 
-          color: theme.dark.textMuted, 
-          lineHeight: '1.6',
-          width: '100%',
-          textAlign: 'center'
+      )}
+      <p style={{
+        fontSize: '0.875rem', color: '#64748b', marginBottom: '10px',
+        lineHeight: '1.4', fontFamily: 'DM Sans, sans-serif'
+      }}>{item.description}</p>
+      {tallyLines.length > 0 && (
+        <div style={{
+          fontSize: '0.8125rem', color: '#1e293b', marginBottom: '10px', padding: '6px 10px',
+          background: 'white', borderRadius: '8px', fontFamily: 'DM Sans, sans-serif'
         }}>
-          <p style={{ marginBottom: '16px', color: theme.dark.text }}>
-            This tool is designed with <strong style={{ color: theme.dark.accent }}>zero data storage</strong>:
-          </p>
-          <ul style={{ paddingLeft: '0', listStyle: 'none', textAlign: 'left', maxWidth: '380px', margin: '0 auto' }}>
-            {[
-              'All information exists only in this browser tab',
-              'Closing or refreshing permanently erases all data',
-              'Generate and scan the QR code before closing'
-            ].map((text, i) => (
-              <li key={i} style={{ 
-                padding: '10px 0', display: 'flex', alignItems: 'flex-start', gap: '12px',
-                borderBottom: i < 2 ? `1px solid rgba(255,255,255,0.05)` : 'none'
-              }}>
-                <span style={{ 
-                  color: theme.dark.accent, fontSize: '1.1rem', marginTop: '2px',
-                  textShadow: `0 0 10px ${theme.dark.accent}`,
-                  flexShrink: 0
-                }}>✓</span>
-                <span style={{ color: theme.dark.text, fontSize: '0.9375rem' }}>{text}</span>
-              </li>
-            ))}
-          </ul>
+          {tallyLines.map(line => <div key={line}>{line.startsWith('Cash') ? '💵' : '💳'} {line}</div>)}
         </div>
-        
-        {/* Checkbox - centered */}
-        <label style={{
-          display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '12px',
-          marginBottom: '20px', cursor: 'pointer', 
-          padding: '12px 16px', borderRadius: '12px',
-          background: understood ? 'rgba(0, 212, 170, 0.1)' : 'rgba(255,255,255,0.03)',
-          border: `1px solid ${understood ? theme.dark.accent : 'rgba(255,255,255,0.1)'}`,
-          transition: 'all 0.2s',
-          width: '100%',
-          maxWidth: '380px',
-          marginLeft: 'auto',
-          marginRight: 'auto'
+      )}
+      {medication && (
+        <p style={{
+          fontSize: '0.8125rem', color: '#1e293b', marginBottom: '10px', padding: '6px 10px',
+          background: 'white', borderRadius: '8px', fontFamily: 'DM Sans, sans-serif'
         }}>
-          <input 
-            type="checkbox" 
-            checked={understood} 
-            onChange={(e) => setUnderstood(e.target.checked)}
-            style={{ 
-              width: '22px', height: '22px', accentColor: theme.dark.accent,
-              cursor: 'pointer',
-              flexShrink: 0
+          💊 {formatMedicationSummary(medication)}
+        </p>
+      )}
+      {photos.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '10px' }}>
+          {photos.map((photo, i) => (
+            <div key={photo.url} style={{ position: 'relative', width: '72px' }}>
+              <img src={photo.url} alt={`${item.title} photo ${i + 1}`} style={{
+                width: '72px', height: '72px', objectFit: 'cover', borderRadius: '8px',
+                border: '1px solid #e2e8f0', display: 'block'
+              }} />
+              <button onClick={() => removePhoto(photo.url)} aria-label={`Remove photo ${i + 1}`} style={{
+                position: 'absolute', top: '-6px', right: '-6px', width: '24px', height: '24px',
+                borderRadius: '9999px', border: 'none', background: '#ef4444', color: 'white',
+                fontSize: '0.875rem', lineHeight: 1, cursor: 'pointer'
+              }}>×</button>
+              {onDescribePhoto && (
+                <button onClick={() => describe(photo.url)} disabled={describingUrl !== null}
+                  title="Sends this photo to the AI service to draft a description"
+                  style={{
+                    width: '100%', marginTop: '4px', padding: '4px 0', fontSize: '0.6875rem',
+                    border: '1px solid #e2e8f0', borderRadius: '6px', background: 'white',
+                    color: '#0d9488', cursor: describingUrl !== null ? 'wait' : 'pointer',
+                    fontFamily: 'DM Sans, sans-serif'
+                  }}>{describingUrl === photo.url ? '...' : '✨ Describe'}</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {photoError && (
+        <p style={{ fontSize: '0.75rem', color: '#b91c1c', marginBottom: '10px', fontFamily: 'DM Sans, sans-serif' }}>
+          ⚠️ {photoError}
+        </p>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{
+          fontSize: '0.75rem', color: '#0d9488', fontWeight: '500',
+          background: 'rgba(13, 148, 136, 0.1)', padding: '4px 10px',
+          borderRadius: '9999px', fontFamily: 'DM Sans, sans-serif'
+        }}>{categoryInfo.label}</span>
+        {disposition && (
+          <span style={{
+            fontSize: '0.75rem', color: '#1e293b', fontWeight: '500', background: 'white',
+            border: '1px solid #e2e8f0', padding: '3px 10px', marginLeft: '6px',
+            borderRadius: '9999px', fontFamily: 'DM Sans, sans-serif'
+          }}>{disposition.icon} {disposition.label}</span>
+        )}
+        <div style={{ display: 'flex', gap: '4px', marginLeft: 'auto' }}>
+          <label aria-label="Add photo" style={{
+            width: '40px', height: '40px', borderRadius: '8px', cursor: 'pointer', display: 'flex',
+            alignItems: 'center', justifyContent: 'center', color: '#64748b'
+          }}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
+              <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/>
+              <circle cx="12" cy="13" r="4"/>
+            </svg>
+            <input type="file" accept="image/*" capture="environment" multiple onChange={addPhotos} style={{ display: 'none' }} />
+          </label>
+          <button onClick={() => startEditing()} style={{
+            width: '40px', height: '40px', border: 'none', background: 'transparent',
+            borderRadius: '8px', cursor: 'pointer', display: 'flex',
+            alignItems: 'center', justifyContent: 'center', color: '#64748b'
+          }}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
+              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
+              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
+            </svg>
+          </button>
+          <button onClick={() => onDelete(index)} style={{
+            width: '40px', height: '40px', border: 'none', background: 'transparent',
+            borderRadius: '8px', cursor: 'pointer', display: 'flex',
+            alignItems: 'center', justifyContent: 'center', color: '#ef4444'
+          }}>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
+              <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Sortable List Component - drag to reorder by the handle on each row. Pointer events cover
+// touch, pen and mouse; the handle also moves its row with the arrow keys.
+const SortableList = ({ items, onMove, renderItem }) => {
+  const rowRefs = useRef(new Map());
+  const [drag, setDrag] = useState(null); // { from, to, startY, offsetY, rects }
+  const gap = 12;
+
+  const startDrag = (e, index) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const rects = items.map(item => rowRefs.current.get(item.id).getBoundingClientRect());
+    setDrag({ from: index, to: index, startY: e.clientY, offsetY: 0, rects });
+  };
+
+  const moveDrag = (e) => {
+    if (!drag) return;
+    const offsetY = e.clientY - drag.startY;
+    const dragged = drag.rects[drag.from];
+    const center = dragged.top + dragged.height / 2 + offsetY;
+    const to = drag.rects.filter((rect, i) => i !== drag.from && rect.top + rect.height / 2 < center).length;
+    setDrag({ ...drag, offsetY, to });
+  };
+
+  const endDrag = () => {
+    if (drag && drag.to !== drag.from) onMove(drag.from, drag.to);
+    setDrag(null);
+  };
+
+  const handleKeyDown = (e, index) => {
+    const to = e.key === 'ArrowUp' ? index - 1 : e.key === 'ArrowDown' ? index + 1 : null;
+    if (to === null || to < 0 || to >= items.length) return;
+    e.preventDefault();
+    onMove(index, to);
+  };
+
+  // Rows between the drag origin and target make room for the dragged row
+  const shiftFor = (i) => {
+    if (!drag || i === drag.from) return 0;
+    const room = drag.rects[drag.from].height + gap;
+    if (drag.from < i && i <= drag.to) return -room;
+    if (drag.to <= i && i < drag.from) return room;
+    return 0;
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: `${gap}px` }}>
+      {items.map((item, index) => {
+        const dragging = drag?.from === index;
+        return (
+          <div
+            key={item.id}
+            ref={(el) => (el ? rowRefs.current.set(item.id, el) : rowRefs.current.delete(item.id))}
+            style={{
+              display: 'flex', alignItems: 'stretch', gap: '6px', position: 'relative',
+              transform: `translateY(${dragging ? drag.offsetY : shiftFor(index)}px)`,
+              transition: dragging ? 'none' : drag ? 'transform 0.15s' : 'none',
+              zIndex: dragging ? 10 : 'auto',
+              boxShadow: dragging ? '0 10px 25px rgba(0,0,0,0.15)' : 'none',
+              borderRadius: '12px'
             }}
-          />
-          <span style={{ color: theme.dark.text, fontSize: '0.9375rem', fontWeight: '500' }}>
-            I understand this data is temporary
-          </span>
-        </label>
-        
-        {/* Glowing Continue Button - centered */}
-        <button 
-          disabled={!understood}
-          onClick={onAccept}
+          >
+            <button
+              onPointerDown={(e) => startDrag(e, index)}
+              onPointerMove={moveDrag}
+              onPointerUp={endDrag}
+              onPointerCancel={() => setDrag(null)}
+              onKeyDown={(e) => handleKeyDown(e, index)}
+              aria-label={`Reorder ${item.title}, position ${index + 1} of ${items.length}. Drag or use arrow keys.`}
+              style={{
+                width: '32px', flexShrink: 0, border: 'none', borderRadius: '8px',
+                background: dragging ? 'rgba(13, 148, 136, 0.15)' : '#f0f4f7', color: '#94a3b8',
+                cursor: dragging ? 'grabbing' : 'grab', touchAction: 'none', fontSize: '1.125rem'
+              }}
+            >⋮⋮</button>
+            <div style={{ flex: 1, minWidth: 0 }}>{renderItem(item, index)}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Split Item Modal Component - turns one item into several. The first row keeps the original
+// item's category, disposition, photos, medication and cash count.
+const SplitItemModal = ({ item, onSplit, onCancel }) => {
+  const [rows, setRows] = useState(() => suggestSplit(item));
+  const validRows = rows.filter(row => row.title.trim());
+  const canSplit = validRows.length >= 2;
+
+  const updateRow = (i, field, value) => setRows(prev => prev.map((row, idx) => (idx === i ? { ...row, [field]: value } : row)));
+
+  // New rows take their category from belongings vocabulary, else from the original item
+  const confirm = () => onSplit(rows
+    .map((row, i) => ({ ...row, original: i === 0 }))
+    .filter(row => row.title.trim())
+    .map(({ title, description, original }) => {
+      const piece = { title: title.trim(), description: description.trim() || title.trim() };
+      if (original) return { ...item, ...piece };
+      return {
+        ...piece,
+        category: matchVocabulary(`${piece.title} ${piece.description}`)?.category || item.category,
+        quantity: 1
+      };
+    }));
+
+  const inputStyle = {
+    width: '100%', padding: '8px 10px', border: '1px solid #e2e8f0',
+    borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.875rem'
+  };
+
+  return (
+    <div onClick={onCancel} style={{
+      position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)',
+      backdropFilter: 'blur(4px)', display: 'flex', alignItems: 'flex-start',
+      justifyContent: 'center', padding: '20px', zIndex: 1000, overflowY: 'auto'
+    }}>
+      <div onClick={(e) => e.stopPropagation()} style={{
+        background: 'white', borderRadius: '16px', padding: '24px',
+        maxWidth: '400px', width: '100%', margin: 'auto',
+        boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1)', fontFamily: 'DM Sans, sans-serif'
+      }}>
+        <h2 style={{ marginBottom: '4px' }}>Split "{item.title}"</h2>
+        <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '16px' }}>
+          Each row becomes a separate item. Rows without a title are skipped.
+        </p>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '12px' }}>
+          {rows.map((row, i) => (
+            <div key={i} style={{ display: 'flex', gap: '6px', alignItems: 'flex-start' }}>
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                <input type="text" value={row.title} placeholder="Item title" aria-label={`Item ${i + 1} title`}
+                  onChange={(e) => updateRow(i, 'title', e.target.value)}
+                  style={{ ...inputStyle, fontWeight: '600' }} />
+                <input type="text" value={row.description} placeholder="Description" aria-label={`Item ${i + 1} description`}
+                  onChange={(e) => updateRow(i, 'description', e.target.value)}
+                  style={inputStyle} />
+              </div>
+              {i > 0 && (
+                <button onClick={() => setRows(prev => prev.filter((_, idx) => idx !== i))} aria-label={`Remove row ${i + 1}`}
+                  style={{
+                    width: '36px', height: '36px', border: 'none', background: 'transparent',
+                    color: '#ef4444', fontSize: '1.25rem', cursor: 'pointer'
+                  }}>×</button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button onClick={() => setRows(prev => [...prev, { title: '', description: '' }])}
           style={{
-            width: '100%', 
-            maxWidth: '380px',
-            padding: '16px 24px', 
-            fontSize: '1.0625rem', 
-            fontWeight: '600',
-            border: 'none', 
-            borderRadius: '12px',
-            background: understood 
-              ? `linear-gradient(135deg, ${theme.dark.accent} 0%, #00a896 100%)` 
-              : 'rgba(255,255,255,0.1)',
-            color: understood ? '#0a0f1a' : theme.dark.textMuted,
-            cursor: understood ? 'pointer' : 'not-allowed',
-            boxShadow: understood 
-              ? `0 0 30px ${theme.dark.accentGlow}, 0 4px 15px rgba(0,0,0,0.3)` 
-              : 'none',
-            transition: 'all 0.3s',
-            flexShrink: 0
-          }}
-        >
-          {understood ? '→ Continue to App' : 'Please confirm above'}
-        </button>
+            width: '100%', padding: '10px', marginBottom: '16px', fontSize: '0.875rem',
+            border: '1px dashed #cbd5e1', borderRadius: '8px', background: 'white', color: '#0d9488',
+            cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', fontWeight: '500'
+          }}>+ Add row</button>
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <button onClick={onCancel} style={{
+            flex: 1, padding: '14px 16px', fontSize: '1rem', borderRadius: '12px', cursor: 'pointer',
+            border: '1px solid #e2e8f0', background: 'white', fontFamily: 'DM Sans, sans-serif'
+          }}>Cancel</button>
+          <button onClick={confirm} disabled={!canSplit} style={{
+            flex: 1, padding: '14px 16px', fontSize: '1rem', fontWeight: '600', borderRadius: '12px',
+            border: 'none', fontFamily: 'DM Sans, sans-serif',
+            background: canSplit ? 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)' : '#e2e8f0',
+            color: canSplit ? 'white' : '#64748b', cursor: canSplit ? 'pointer' : 'not-allowed'
+          }}>Split into {validRows.length}</button>
         </div>
       </div>
-      
-      {/* Footer text */}
-      <p style={{ 
-        marginTop: '20px', color: theme.dark.textMuted, fontSize: '0.75rem',
-        textAlign: 'center', opacity: 0.7
-      }}>
-        Voice-to-inventory with QR export for EHR integration
-      </p>
     </div>
   );
 };
 
-// Recording Button Component
-const RecordButton = ({ isRecording, onClick, disabled }) => (
-  <button 
-    onClick={onClick}
-    disabled={disabled}
-    style={{
-      width: '80px', height: '80px', borderRadius: '50%', border: 'none',
-      background: isRecording 
-        ? 'linear-gradient(145deg, #fecaca, #fca5a5)' 
-        : 'linear-gradient(145deg, #f0f4f7, #e2e8f0)',
-      boxShadow: isRecording 
-        ? '6px 6px 12px rgba(239, 68, 68, 0.3), -6px -6px 12px #ffffff'
-        : '6px 6px 12px #d1d5db, -6px -6px 12px #ffffff',
-      cursor: 'pointer', position: 'relative', display: 'flex',
-      alignItems: 'center', justifyContent: 'center'
-    }}
-  >
+const DUPLICATE_CHOICES = [
+  { value: 'keep', label: 'Keep both' },
+  { value: 'merge', label: 'Merge' },
+  { value: 'discard', label: 'Discard' }
+];
+
+// Duplicate Review Modal - suspected duplicates in a processed batch, resolved before any
+// item is added. `duplicates` come from findDuplicates(); onResolve gets one choice per row.
+// Every row starts as "Keep both": a second pair of socks must never vanish from a custody
+// record because the confirm button was tapped without looking.
+const DuplicateReviewModal = ({ batchSize, duplicates, onResolve }) => {
+  const [choices, setChoices] = useState(() => duplicates.map(() => 'keep'));
+  const newCount = batchSize - duplicates.length;
+
+  return (
     <div style={{
-      width: isRecording ? '32px' : '56px',
-      height: isRecording ? '32px' : '56px',
-      borderRadius: isRecording ? '8px' : '50%',
-      background: isRecording ? '#ef4444' : '#0d9488',
-      display: 'flex', alignItems: 'center', justifyContent: 'center',
-      transition: 'all 0.2s'
+      position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)',
+      backdropFilter: 'blur(4px)', display: 'flex', alignItems: 'flex-start',
+      justifyContent: 'center', padding: '20px', zIndex: 1000, overflowY: 'auto'
     }}>
-      {isRecording ? (
-        <div style={{ width: '20px', height: '20px', background: 'white', borderRadius: '4px' }} />
-      ) : (
-        <svg viewBox="0 0 24 24" fill="white" style={{ width: '28px', height: '28px' }}>
-          <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
-          <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
-        </svg>
-      )}
+      <div role="dialog" aria-modal="true" aria-labelledby="duplicate-review-title" style={{
+        background: 'white', borderRadius: '16px', padding: '24px',
+        maxWidth: '440px', width: '100%', margin: 'auto',
+        boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1)', fontFamily: 'DM Sans, sans-serif'
+      }}>
+        <h2 id="duplicate-review-title" style={{ marginBottom: '4px' }}>Possible duplicates</h2>
+        <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '16px' }}>
+          {duplicates.length === 1 ? '1 processed item looks' : `${duplicates.length} processed items look`} like
+          something already on the list.
+          {newCount > 0 && ` The other ${newCount} will be added as usual.`}
+        </p>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginBottom: '20px' }}>
+          {duplicates.map(({ item, match }, i) => (
+            <div key={i} style={{ border: '1px solid #fde68a', background: '#fffbeb', borderRadius: '12px', padding: '12px' }}>
+              <div style={{ fontSize: '0.875rem', marginBottom: '4px' }}>
+                <strong>New:</strong> {item.title}{getQuantity(item) > 1 ? ` ×${getQuantity(item)}` : ''}
+                <div style={{ color: '#64748b', fontSize: '0.8125rem' }}>{item.description}</div>
+              </div>
+              <div style={{ fontSize: '0.875rem', marginBottom: '10px' }}>
+                <strong>Listed:</strong> {match.title}{getQuantity(match) > 1 ? ` ×${getQuantity(match)}` : ''}
+                <div style={{ color: '#64748b', fontSize: '0.8125rem' }}>{match.description}</div>
+              </div>
+              <div role="radiogroup" aria-label={`What to do with ${item.title}`} style={{ display: 'flex', gap: '6px' }}>
+                {DUPLICATE_CHOICES.map(choice => (
+                  <button key={choice.value} role="radio" aria-checked={choices[i] === choice.value}
+                    onClick={() => setChoices(prev => prev.map((c, idx) => (idx === i ? choice.value : c)))}
+                    style={{
+                      flex: 1, minHeight: '40px', fontSize: '0.8125rem', fontWeight: '500', borderRadius: '8px',
+                      cursor: 'pointer', fontFamily: 'DM Sans, sans-serif',
+                      border: `1px solid ${choices[i] === choice.value ? '#0d9488' : '#e2e8f0'}`,
+                      background: choices[i] === choice.value ? 'rgba(13, 148, 136, 0.1)' : 'white',
+                      color: choices[i] === choice.value ? '#0f766e' : '#1e293b'
+                    }}>{choice.label}</button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <button onClick={() => onResolve(choices)} style={{
+          width: '100%', padding: '14px 16px', fontSize: '1rem', fontWeight: '600', borderRadius: '12px',
+          border: 'none', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', color: 'white',
+          background: 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)'
+        }}>Apply</button>
+      </div>
     </div>
-  </button>
+  );
+};
+
+// Pending Item Component - an item still arriving from a streaming extraction (read-only)
+const PendingItem = ({ item }) => {
+  const categoryInfo = getCategory(item);
+  return (
+    <div aria-busy="true" style={{
+      background: 'white', borderRadius: '12px', padding: '14px',
+      border: '1px dashed #cbd5e1', opacity: 0.8, fontFamily: 'DM Sans, sans-serif'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ fontSize: '1.25rem' }}>{categoryInfo.icon}</span>
+        <span style={{ fontWeight: '600', flex: 1 }}>{item.title}</span>
+        {getQuantity(item) > 1 && (
+          <span style={{ fontSize: '0.75rem', fontWeight: '700', color: '#0d9488' }}>×{getQuantity(item)}</span>
+        )}
+        <span style={{
+          fontSize: '0.75rem', fontWeight: '500', color: '#64748b', background: '#f0f4f7',
+          padding: '2px 8px', borderRadius: '9999px'
+        }}>⏳ Pending</span>
+      </div>
+      <p style={{ fontSize: '0.875rem', color: '#64748b', lineHeight: '1.4' }}>{item.description}</p>
+    </div>
+  );
+};
+
+// Voice Commands Help - the spoken commands and the phrases that trigger them
+const VoiceCommandsHelp = ({ onClose }) => (
+  <div onClick={onClose} style={{
+    position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)',
+    backdropFilter: 'blur(4px)', display: 'flex', alignItems: 'flex-end',
+    justifyContent: 'center', padding: '20px', zIndex: 1000
+  }}>
+    <div onClick={(e) => e.stopPropagation()} role="dialog" aria-modal="true" aria-labelledby="voice-help-title" style={{
+      background: 'white', borderRadius: '16px', padding: '24px',
+      maxWidth: '400px', width: '100%', maxHeight: '80vh', overflowY: 'auto',
+      boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1)', fontFamily: 'DM Sans, sans-serif'
+    }}>
+      <h2 id="voice-help-title" style={{ marginBottom: '4px' }}>Voice commands</h2>
+      <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '16px' }}>
+        Say these while recording. They are taken out of the transcript and a badge confirms each one.
+      </p>
+      <dl style={{ margin: '0 0 20px', fontSize: '0.875rem' }}>
+        {VOICE_COMMANDS.map(command => (
+          <div key={command.action} style={{ padding: '8px 0', borderTop: '1px solid #e2e8f0' }}>
+            <dt style={{ fontWeight: '600', color: '#1e293b' }}>
+              {command.phrases.map(phrase => `"${phrase}${command.action === 'category' ? ' …' : ''}"`).join(' or ')}
+            </dt>
+            <dd style={{ margin: '2px 0 0', color: '#64748b' }}>
+              {command.description}
+              {command.action === 'category' && `: ${CATEGORIES.map(c => c.label.toLowerCase()).join(', ')}`}
+            </dd>
+          </div>
+        ))}
+      </dl>
+      <button onClick={onClose} style={{
+        width: '100%', padding: '14px 16px', fontSize: '1rem', fontWeight: '600', borderRadius: '12px',
+        border: 'none', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', color: 'white',
+        background: 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)'
+      }}>Got it</button>
+    </div>
+  </div>
 );
 
-// Inventory Item Card Component
-const InventoryItem = ({ item, index, onUpdate, onDelete }) => {
-  const [isEditing, setIsEditing] = useState(false);
-  const [editData, setEditData] = useState(item);
-  const categoryInfo = CATEGORIES.find(c => c.value === item.category) || CATEGORIES[6];
+// Redaction List Component - placeholder and the value it replaced (shown locally only)
+const RedactionList = ({ redactions }) => (
+  <ul style={{ paddingLeft: '18px', margin: 0, fontSize: '0.8125rem' }}>
+    {redactions.map(r => (
+      <li key={r.placeholder}>
+        <code style={{ fontFamily: 'JetBrains Mono, monospace' }}>{r.placeholder}</code> {r.label}: {r.original}
+      </li>
+    ))}
+  </ul>
+);
 
-  if (isEditing) {
-    return (
-      <div style={{
-        background: '#f0f4f7', borderRadius: '12px', padding: '14px',
-        border: '2px solid #0d9488', boxShadow: '0 0 0 3px rgba(13, 148, 136, 0.1)'
-      }}>
-        <input
-          type="text" value={editData.title}
-          onChange={(e) => setEditData({...editData, title: e.target.value})}
-          placeholder="Item title"
-          style={{
-            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
-            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
-            marginBottom: '8px', fontWeight: '600'
-          }}
-        />
-        <select
-          value={editData.category}
-          onChange={(e) => setEditData({...editData, category: e.target.value})}
-          style={{
-            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
-            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
-            marginBottom: '8px', background: 'white'
-          }}
-        >
-          {CATEGORIES.map(cat => (
-            <option key={cat.value} value={cat.value}>{cat.icon} {cat.label}</option>
+// Combine the report of another live phrase with the one on screen
+const mergeExtractionReports = (previous, next) => (previous ? {
+  ...next,
+  notice: next.notice || previous.notice,
+  redactions: [
+    ...previous.redactions,
+    ...next.redactions.filter(r => !previous.redactions.some(p => p.placeholder === r.placeholder && p.original === r.original))
+  ],
+  salvaged: [...previous.salvaged, ...next.salvaged],
+  rejected: [...previous.rejected, ...next.rejected],
+  unstructured: [...previous.unstructured, ...next.unstructured],
+  attempts: Math.max(previous.attempts || 1, next.attempts || 1)
+} : next);
+
+// Extraction Report Component - what the AI output needed repaired or could not structure
+const ExtractionReport = ({ report, onEditUnstructured, onDismiss }) => (
+  <div style={{
+    padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+    background: '#fffbeb', color: '#92400e', border: '1px solid #fde68a',
+    fontFamily: 'DM Sans, sans-serif'
+  }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+      <strong>Review extraction{report.attempts > 1 ? ` (${report.attempts} attempts)` : ''}</strong>
+      <button onClick={onDismiss} aria-label="Dismiss" style={{
+        border: 'none', background: 'transparent', color: '#92400e',
+        fontSize: '1.125rem', cursor: 'pointer', width: '32px', height: '32px'
+      }}>×</button>
+    </div>
+    {report.notice && <div style={{ marginBottom: '8px' }}>{report.notice}</div>}
+    {report.redactions?.length > 0 && (
+      <div style={{ marginBottom: '8px' }}>
+        <div style={{ fontWeight: '600', marginBottom: '4px' }}>🛡️ Redacted before sending:</div>
+        <RedactionList redactions={report.redactions} />
+      </div>
+    )}
+    {report.salvaged.length > 0 && (
+      <div style={{ marginBottom: '8px' }}>
+        <div style={{ fontWeight: '600', marginBottom: '4px' }}>Salvaged items - please check:</div>
+        <ul style={{ paddingLeft: '18px', margin: 0 }}>
+          {report.salvaged.map((s, i) => (
+            <li key={i}>{s.title}: {s.fixes.join(', ')}</li>
           ))}
-        </select>
-        <textarea
-          value={editData.description}
-          onChange={(e) => setEditData({...editData, description: e.target.value})}
-          placeholder="Description" rows={2}
+        </ul>
+      </div>
+    )}
+    {report.rejected.length > 0 && (
+      <div style={{ marginBottom: '8px' }}>
+        {report.rejected.length} unusable {report.rejected.length === 1 ? 'entry was' : 'entries were'} discarded.
+      </div>
+    )}
+    {report.unstructured.length > 0 && (
+      <div>
+        <div style={{ fontWeight: '600', marginBottom: '4px' }}>Could not be structured:</div>
+        <ul style={{ paddingLeft: '18px', margin: '0 0 8px' }}>
+          {report.unstructured.map((text, i) => <li key={i}>"{text}"</li>)}
+        </ul>
+        <button onClick={onEditUnstructured} style={{
+          padding: '8px 14px', fontSize: '0.8125rem', border: '1px solid #fde68a',
+          borderRadius: '8px', background: 'white', color: '#92400e', cursor: 'pointer',
+          fontFamily: 'DM Sans, sans-serif', fontWeight: '500'
+        }}>Move to text box to retry</button>
+      </div>
+    )}
+  </div>
+);
+
+// Encounter Header Component - bag, location and staff references for the export header
+const EncounterForm = ({ encounter, errors, onChange }) => (
+  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px' }}>
+    {ENCOUNTER_FIELDS.map(field => (
+      <label key={field.key} style={{ display: 'flex', flexDirection: 'column', gap: '4px', minWidth: 0 }}>
+        <span style={{ fontSize: '0.75rem', fontWeight: '600', color: '#64748b', fontFamily: 'DM Sans, sans-serif' }}>
+          {field.label}
+        </span>
+        <input
+          type="text"
+          value={encounter[field.key]}
+          maxLength={field.maxLength}
+          placeholder={field.placeholder}
+          autoComplete="off"
+          autoCapitalize="characters"
+          onChange={(e) => onChange({
+            ...encounter,
+            [field.key]: field.initials ? e.target.value.toUpperCase().replace(/[^A-Z]/g, '') : e.target.value
+          })}
+          aria-invalid={Boolean(errors[field.key])}
           style={{
-            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0',
+            width: '100%', padding: '10px 12px', minHeight: '44px',
+            border: `1px solid ${errors[field.key] ? '#ef4444' : '#e2e8f0'}`,
             borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
-            marginBottom: '8px', resize: 'none'
+            textTransform: field.initials ? 'uppercase' : 'none'
           }}
         />
-        <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
-          <button onClick={() => { setEditData(item); setIsEditing(false); }}
+        {errors[field.key] && (
+          <span style={{ fontSize: '0.75rem', color: '#b91c1c', fontFamily: 'DM Sans, sans-serif' }}>{errors[field.key]}</span>
+        )}
+      </label>
+    ))}
+  </div>
+);
+
+// Signature Pad Component - canvas signature kept only in memory as a data URL
+const SignaturePad = ({ value, onChange }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * ratio;
+    canvas.height = rect.height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#0f172a';
+    if (value) {
+      const img = new Image();
+      img.onload = () => ctx.drawImage(img, 0, 0, rect.width, rect.height);
+      img.src = value;
+    }
+    // Set up once; later strokes are drawn directly onto the canvas
+  }, []);
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drawingRef.current = true;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        aria-label="Patient signature"
+        style={{
+          width: '100%', height: '140px', display: 'block', touchAction: 'none',
+          background: 'white', border: '1px dashed #94a3b8', borderRadius: '8px', cursor: 'crosshair'
+        }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px' }}>
+        <span style={{ fontSize: '0.75rem', color: '#64748b', fontFamily: 'DM Sans, sans-serif' }}>
+          {value ? '✓ Signature captured' : 'Patient signs above'}
+        </span>
+        <button onClick={clear} style={{
+          padding: '6px 12px', fontSize: '0.8125rem', border: '1px solid #e2e8f0',
+          borderRadius: '8px', background: 'white', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif'
+        }}>Clear</button>
+      </div>
+    </div>
+  );
+};
+
+// Attestation Modal Component - witness and patient acknowledgement before export
+const AttestationModal = ({ initial, required, onConfirm, onSkip, onCancel }) => {
+  const [attestation, setAttestation] = useState(initial);
+  const complete = isAttestationComplete(attestation);
+  const labelStyle = {
+    display: 'block', fontSize: '0.75rem', fontWeight: '600', color: '#64748b',
+    marginBottom: '6px', fontFamily: 'DM Sans, sans-serif'
+  };
+
+  return (
+    <div onClick={onCancel} style={{
+      position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)',
+      backdropFilter: 'blur(4px)', display: 'flex', alignItems: 'flex-start',
+      justifyContent: 'center', padding: '20px', zIndex: 1000, overflowY: 'auto'
+    }}>
+      <div onClick={(e) => e.stopPropagation()} style={{
+        background: 'white', borderRadius: '16px', padding: '24px',
+        maxWidth: '400px', width: '100%', margin: 'auto',
+        boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1)', fontFamily: 'DM Sans, sans-serif'
+      }}>
+        <h2 style={{ marginBottom: '4px' }}>Attestation</h2>
+        <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '20px' }}>
+          {required ? 'Required before export.' : 'Recommended before export.'} The signature stays on this device and prints on the receipt only.
+        </p>
+
+        <label style={{ display: 'block', marginBottom: '16px' }}>
+          <span style={labelStyle}>Witness initials</span>
+          <input
+            type="text" value={attestation.witnessInitials} maxLength={3}
+            placeholder="Initials" autoComplete="off" autoCapitalize="characters"
+            onChange={(e) => setAttestation({ ...attestation, witnessInitials: e.target.value.toUpperCase().replace(/[^A-Z]/g, '') })}
             style={{
-              padding: '8px 16px', fontSize: '0.875rem', border: '1px solid #e2e8f0',
-              borderRadius: '8px', background: 'white', cursor: 'pointer', fontFamily: 'DM Sans, sans-serif'
-            }}>Cancel</button>
-          <button onClick={() => { onUpdate(index, editData); setIsEditing(false); }}
+              width: '100%', padding: '10px 12px', minHeight: '44px', border: '1px solid #e2e8f0',
+              borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '1rem', textTransform: 'uppercase'
+            }}
+          />
+        </label>
+
+        <span style={labelStyle}>Patient acknowledgement</span>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          {[
+            { value: 'signed', label: '✍️ Patient signs' },
+            { value: 'unable', label: '🚫 Unable to sign' }
+          ].map(option => (
+            <button key={option.value}
+              onClick={() => setAttestation({ ...attestation, patientStatus: option.value })}
+              aria-pressed={attestation.patientStatus === option.value}
+              style={{
+                flex: 1, minHeight: '48px', fontSize: '0.875rem', fontWeight: '500', borderRadius: '10px',
+                fontFamily: 'DM Sans, sans-serif', cursor: 'pointer',
+                border: `1px solid ${attestation.patientStatus === option.value ? '#0d9488' : '#e2e8f0'}`,
+                background: attestation.patientStatus === option.value ? 'rgba(13, 148, 136, 0.1)' : 'white',
+                color: attestation.patientStatus === option.value ? '#0f766e' : '#1e293b'
+              }}>{option.label}</button>
+          ))}
+        </div>
+
+        {attestation.patientStatus === 'signed' && (
+          <div style={{ marginBottom: '16px' }}>
+            <SignaturePad
+              value={attestation.signature}
+              onChange={(signature) => setAttestation(prev => ({ ...prev, signature }))}
+            />
+          </div>
+        )}
+
+        {attestation.patientStatus === 'unable' && (
+          <select
+            value={attestation.unableReason}
+            onChange={(e) => setAttestation({ ...attestation, unableReason: e.target.value })}
             style={{
-              padding: '8px 16px', fontSize: '0.875rem', border: 'none',
-              borderRadius: '8px', background: '#0d9488', color: 'white',
-              cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', fontWeight: '600'
-            }}>Save</button>
+              width: '100%', padding: '10px 12px', minHeight: '44px', border: '1px solid #e2e8f0',
+              borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+              marginBottom: '16px', background: 'white'
+            }}
+          >
+            <option value="">Select reason...</option>
+            {UNABLE_TO_SIGN_REASONS.map(reason => (
+              <option key={reason.value} value={reason.value}>{reason.label}</option>
+            ))}
+          </select>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+          {!required && (
+            <button onClick={onSkip} style={{
+              flex: 1, padding: '14px 16px', fontSize: '1rem', fontWeight: '500',
+              fontFamily: 'DM Sans, sans-serif', border: '1px solid #e2e8f0',
+              borderRadius: '12px', background: 'white', cursor: 'pointer'
+            }}>Skip</button>
+          )}
+          <button onClick={() => onConfirm(attestation)} disabled={!complete} style={{
+            flex: 1, padding: '14px 16px', fontSize: '1rem', fontWeight: '600',
+            fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
+            background: complete ? 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)' : '#e2e8f0',
+            color: complete ? 'white' : '#64748b', cursor: complete ? 'pointer' : 'not-allowed'
+          }}>Confirm</button>
         </div>
       </div>
-    );
-  }
+    </div>
+  );
+};
+
+// Print View Component - bag labels (one per QR part) or the full-page patient receipt.
+// Rendered from a frozen print job so the printout matches the QR text exactly.
+const PrintView = ({ job, labelSize = '4in 3in' }) => {
+  const totalPieces = job.items.reduce((sum, item) => sum + getQuantity(item), 0);
+  const showDisposition = job.items.some(getDisposition);
+  const pageStyle = job.mode === 'label'
+    ? `@page { size: ${labelSize}; margin: 0.1in; }`
+    : '@page { size: auto; margin: 15mm; }';
+  const signatureLine = (label, content) => (
+    <div style={{ flex: 1, minWidth: '200px' }}>
+      <div style={{ height: '60px', borderBottom: '1px solid #000', display: 'flex', alignItems: 'flex-end' }}>{content}</div>
+      <div style={{ fontSize: '9pt', marginTop: '4px' }}>{label}</div>
+    </div>
+  );
+
+  return (
+    <div className="print-view" style={{ fontFamily: 'DM Sans, -apple-system, sans-serif', color: '#000', background: 'white' }}>
+      <style>{`@media print { ${pageStyle} }`}</style>
+
+      {job.mode === 'label' && job.parts.map((part, i) => (
+        <div key={i} style={{
+          display: 'flex', gap: '0.1in', alignItems: 'center', height: '100%',
+          pageBreakAfter: i < job.parts.length - 1 ? 'always' : 'auto',
+          breakAfter: i < job.parts.length - 1 ? 'page' : 'auto'
+        }}>
+          <img src={job.qrImages[i]} alt={`Inventory QR Code part ${i + 1}`} style={{ width: '2.6in', height: '2.6in' }} />
+          <div style={{ fontSize: '9pt', lineHeight: 1.35 }}>
+            <div style={{ fontWeight: '700', fontSize: '10pt', marginBottom: '4px' }}>PATIENT BELONGINGS</div>
+            {job.headerLines.filter(line => !line.startsWith('Attestation')).map(line => <div key={line}>{line}</div>)}
+            <div style={{ marginTop: '4px', fontWeight: '700' }}>Items: {job.items.length}</div>
+            <div>Pieces: {totalPieces}</div>
+            {job.parts.length > 1 && (
+              <div style={{ fontWeight: '700', marginTop: '4px' }}>Part {i + 1} of {job.parts.length}</div>
+            )}
+            <div style={{ marginTop: '4px' }}>{job.timestamp}</div>
+          </div>
+        </div>
+      ))}
+
+      {job.mode === 'receipt' && (
+        <div style={{ fontSize: '10pt' }}>
+          <h1 style={{ fontSize: '16pt', marginBottom: '4px' }}>Patient Belongings Receipt</h1>
+          <div style={{ marginBottom: '12px' }}>
+            <div>Generated: {job.timestamp}</div>
+            {job.headerLines.map(line => <div key={line}>{line}</div>)}
+          </div>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '8px' }}>
+            <thead>
+              <tr>
+                {['#', 'Item', 'Category', 'Qty', ...(showDisposition ? ['Disposition'] : []), 'Description'].map(heading => (
+                  <th key={heading} style={{ textAlign: 'left', borderBottom: '2px solid #000', padding: '4px 6px' }}>{heading}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {job.items.map((item, i) => {
+                const cat = getCategory(item);
+                return (
+                  <tr key={i} style={{ pageBreakInside: 'avoid' }}>
+                    <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top' }}>{i + 1}</td>
+                    <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top', fontWeight: '600' }}>{item.title}</td>
+                    <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top' }}>{cat.label}</td>
+                    <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top' }}>{getQuantity(item)}</td>
+                    {showDisposition && (
+                      <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top' }}>{getDisposition(item)?.label || '-'}</td>
+                    )}
+                    <td style={{ borderBottom: '1px solid #ccc', padding: '4px 6px', verticalAlign: 'top' }}>
+                      {item.description}
+                      {getTallyLines(item).map(line => (
+                        <div key={line} style={{ marginTop: '2px', fontWeight: '600' }}>{line}</div>
+                      ))}
+                      {getMedication(item) && (
+                        <div style={{ marginTop: '2px', fontWeight: '600' }}>Rx: {formatMedicationSummary(getMedication(item))}</div>
+                      )}
+                      {item.photos?.length > 0 && (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+                          {item.photos.map((photo, p) => (
+                            <img key={photo.url} src={photo.url} alt={`${item.title} photo ${p + 1}`}
+                              style={{ width: '1.2in', height: '1.2in', objectFit: 'cover', border: '1px solid #ccc' }} />
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ fontWeight: '700', marginBottom: '32px' }}>
+            Total Items: {job.items.length} &nbsp;|&nbsp; Total Pieces: {totalPieces}
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '32px', pageBreakInside: 'avoid' }}>
+            {signatureLine(
+              job.attestation?.patientStatus === 'unable'
+                ? `Patient unable to sign - ${UNABLE_TO_SIGN_REASONS.find(r => r.value === job.attestation.unableReason).label}`
+                : 'Patient signature / Date',
+              job.attestation?.signature && (
+                <img src={job.attestation.signature} alt="Patient signature" style={{ maxHeight: '58px' }} />
+              )
+            )}
+            {signatureLine('Receiving staff signature / Date')}
+            {signatureLine(`Witness signature / Date${job.attestation ? ` (initials ${job.attestation.witnessInitials})` : ''}`)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// QR Scan Modal Component - reads an inventory QR exported by this app back in, from the
+// camera or from a photo. Multi-part exports are collected until every part is scanned.
+const QRScanModal = ({ existingCount, onLoad, onClose }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const lastDecodedRef = useRef(null);
+  const [parts, setParts] = useState({});
+  const [cameraError, setCameraError] = useState(null);
+  const [scanError, setScanError] = useState(null);
+
+  const scannedParts = Object.values(parts);
+  const totalParts = scannedParts[0]?.totalParts || 0;
+  const complete = totalParts > 0 && scannedParts.length === totalParts;
+
+  const handleDecoded = useCallback((text) => {
+    let parsed;
+    try {
+      parsed = parseInventoryText(text);
+    } catch (e) {
+      setScanError(e.message);
+      return;
+    }
+    setScanError(null);
+    // A part from a different export restarts the collection
+    setParts(prev => addScannedPart(prev, parsed));
+  }, []);
+
+  // Decode a frame or image drawn onto the scratch canvas
+  const decodeCanvas = (source, width, height, inversionAttempts) => {
+    const scale = Math.min(1, 800 / Math.max(width, height));
+    const canvas = canvasRef.current;
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return jsQR(data, canvas.width, canvas.height, { inversionAttempts });
+  };
+
+  // Camera scanning - the stream is always stopped on completion, close or unmount
+  useEffect(() => {
+    if (complete) return;
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+
+    const scanFrame = () => {
+      const video = videoRef.current;
+      if (video && video.readyState >= 2 && video.videoWidth) {
+        const code = decodeCanvas(video, video.videoWidth, video.videoHeight, 'dontInvert');
+        if (code && code.data !== lastDecodedRef.current) {
+          lastDecodedRef.current = code.data;
+          handleDecoded(code.data);
+        }
+      }
+      timer = setTimeout(scanFrame, 250);
+    };
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraError('Camera not available in this browser. Choose a photo of the QR code instead.');
+      return;
+    }
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(mediaStream => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play().catch(() => {});
+        scanFrame();
+      })
+      .catch(() => setCameraError('Camera access denied or unavailable. Choose a photo of the QR code instead.'));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [complete, handleDecoded]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const code = decodeCanvas(img, img.naturalWidth, img.naturalHeight, 'attemptBoth');
+      URL.revokeObjectURL(url);
+      if (code) handleDecoded(code.data);
+      else setScanError('No QR code found in that image.');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setScanError('Could not read that image.');
+    };
+    img.src = url;
+  };
+
+  const load = (mode) => {
+    const sorted = scannedParts.sort((a, b) => a.part - b.part);
+    onLoad(mergeInventoryParts(sorted), sorted[0].encounter, mode);
+  };
+
+  const buttonStyle = (primary) => ({
+    flex: 1, padding: '14px 16px', fontSize: '1rem', fontWeight: primary ? '600' : '500',
+    fontFamily: 'DM Sans, sans-serif', borderRadius: '12px', cursor: 'pointer',
+    border: primary ? 'none' : '1px solid #e2e8f0',
+    background: primary ? 'linear-gradient(135deg, #0d9488 0%, #0f766e 100%)' : 'white',
+    color: primary ? 'white' : '#1e293b'
+  });
 
   return (
-    <div style={{
-      background: '#f0f4f7', borderRadius: '12px', padding: '14px',
-      border: '1px solid #e2e8f0'
+    <div onClick={onClose} style={{
+      position: 'fixed', inset: 0, background: 'rgba(15, 23, 42, 0.6)',
+      backdropFilter: 'blur(4px)', display: 'flex', alignItems: 'flex-start',
+      justifyContent: 'center', padding: '20px', zIndex: 1000, overflowY: 'auto'
     }}>
-      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
-        <span style={{ fontSize: '1.25rem' }}>{categoryInfo.icon}</span>
-        <span style={{ fontWeight: '600', flex: 1, fontFamily: 'DM Sans, sans-serif' }}>{item.title}</span>
-        <span style={{
-          fontSize: '0.75rem', color: '#64748b', background: 'white',
-          padding: '2px 8px', borderRadius: '9999px'
-        }}>#{index + 1}</span>
-      </div>
-      <p style={{
-        fontSize: '0.875rem', color: '#64748b', marginBottom: '10px',
-        lineHeight: '1.4', fontFamily: 'DM Sans, sans-serif'
-      }}>{item.description}</p>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <span style={{
-          fontSize: '0.75rem', color: '#0d9488', fontWeight: '500',
-          background: 'rgba(13, 148, 136, 0.1)', padding: '4px 10px',
-          borderRadius: '9999px', fontFamily: 'DM Sans, sans-serif'
-        }}>{categoryInfo.label}</span>
-        <div style={{ display: 'flex', gap: '4px' }}>
-          <button onClick={() => setIsEditing(true)} style={{
-            width: '40px', height: '40px', border: 'none', background: 'transparent',
-            borderRadius: '8px', cursor: 'pointer', display: 'flex',
-            alignItems: 'center', justifyContent: 'center', color: '#64748b'
-          }}>
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
-              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
-              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
-            </svg>
-          </button>
-          <button onClick={() => onDelete(index)} style={{
-            width: '40px', height: '40px', border: 'none', background: 'transparent',
-            borderRadius: '8px', cursor: 'pointer', display: 'flex',
-            alignItems: 'center', justifyContent: 'center', color: '#ef4444'
+      <div onClick={(e) => e.stopPropagation()} style={{
+        background: 'white', borderRadius: '16px', padding: '24px',
+        maxWidth: '400px', width: '100%', margin: 'auto', textAlign: 'center',
+        boxShadow: '0 10px 15px -3px rgba(0,0,0,0.1)', fontFamily: 'DM Sans, sans-serif'
+      }}>
+        <h2 style={{ marginBottom: '8px' }}>Load from QR</h2>
+        <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '16px' }}>
+          Scan an inventory QR code exported by this app
+        </p>
+
+        {!complete && (
+          <>
+            {!cameraError ? (
+              <video ref={videoRef} muted playsInline style={{
+                width: '100%', aspectRatio: '1', objectFit: 'cover', borderRadius: '12px',
+                background: '#0f172a', marginBottom: '12px'
+              }} />
+            ) : (
+              <div style={{
+                padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginBottom: '12px',
+                background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
+              }}>{cameraError}</div>
+            )}
+            <label style={{ ...buttonStyle(false), display: 'block', marginBottom: '12px' }}>
+              🖼️ Choose photo of QR code
+              <input type="file" accept="image/*" onChange={handleFile} style={{ display: 'none' }} />
+            </label>
+          </>
+        )}
+        <canvas ref={canvasRef} style={{ display: 'none' }} />
+
+        {totalParts > 1 && (
+          <div style={{
+            padding: '10px 12px', borderRadius: '12px', fontSize: '0.875rem', marginBottom: '12px',
+            background: complete ? 'rgba(13, 148, 136, 0.08)' : '#fffbeb',
+            color: complete ? '#0f766e' : '#b45309',
+            border: `1px solid ${complete ? 'rgba(13, 148, 136, 0.25)' : '#fde68a'}`
           }}>
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '18px', height: '18px' }}>
-              <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-            </svg>
-          </button>
+            Scanned part{scannedParts.length > 1 ? 's' : ''} {scannedParts.map(p => p.part).sort((a, b) => a - b).join(', ')} of {totalParts}
+            {!complete && ' - scan the remaining parts'}
+          </div>
+        )}
+
+        {scanError && (
+          <div style={{
+            padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginBottom: '12px',
+            background: '#fef2f2', color: '#b91c1c', border: '1px solid #fecaca'
+          }}>⚠️ {scanError}</div>
+        )}
+
+        {complete && (
+          <p style={{ fontSize: '0.9375rem', marginBottom: '16px', color: '#1e293b' }}>
+            ✓ Found {mergeInventoryParts(scannedParts).length} items
+          </p>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px' }}>
+          {complete && existingCount > 0 && (
+            <button onClick={() => load('append')} style={buttonStyle(false)}>Add to list</button>
+          )}
+          {complete && (
+            <button onClick={() => load('replace')} style={buttonStyle(true)}>
+              {existingCount > 0 ? 'Replace list' : 'Load items'}
+            </button>
+          )}
+          {!complete && <button onClick={onClose} style={buttonStyle(false)}>Cancel</button>}
         </div>
       </div>
     </div>
@@ -355,10 +2969,10 @@ const InventoryItem = ({ item, index, onUpdate, onDelete }) => {
 };
 
 // Size Indicator Component
-const SizeIndicator = ({ currentBytes, maxBytes = 2000 }) => {
-  const percentage = Math.min((currentBytes / maxBytes) * 100, 100);
-  const status = percentage > 100 ? 'danger' : percentage > 75 ? 'warning' : 'safe';
-  const colors = { safe: '#22c55e', warning: '#f59e0b', danger: '#ef4444' };
+const SizeIndicator = ({ currentBytes, maxBytes = MAX_QR_BYTES, partCount = 1 }) => {
+  const percentage = (currentBytes / maxBytes) * 100;
+  const status = percentage > 100 ? 'danger' : partCount > 1 ? 'split' : percentage > 75 ? 'warning' : 'safe';
+  const colors = { safe: '#22c55e', warning: '#f59e0b', split: '#0d9488', danger: '#ef4444' };
   
   return (
     <div style={{ marginBottom: '8px' }}>
@@ -374,9 +2988,12 @@ const SizeIndicator = ({ currentBytes, maxBytes = 2000 }) => {
         display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem',
         color: '#64748b', fontFamily: 'DM Sans, sans-serif'
       }}>
-        <span>{currentBytes.toLocaleString()} / {maxBytes.toLocaleString()} bytes</span>
+        <span>
+          {currentBytes.toLocaleString()} / {maxBytes.toLocaleString()} bytes{partCount > 1 && ' (largest part)'}
+        </span>
         <span style={{ fontWeight: '500', color: colors[status] }}>
           {status === 'danger' && '⚠️ Too large for QR'}
+          {status === 'split' && `🔢 ${partCount} QR codes`}
           {status === 'warning' && '⚡ Approaching limit'}
           {status === 'safe' && '✓ Ready'}
         </span>
@@ -385,22 +3002,390 @@ const SizeIndicator = ({ currentBytes, maxBytes = 2000 }) => {
   );
 };
 
+// Reconciliation Item Component - one admission item with its discharge status
+const ReconciliationItem = ({ item, number, onChange }) => {
+  const categoryInfo = getCategory(item);
+  const status = RECONCILIATION_STATUSES.find(s => s.value === item.status);
+
+  return (
+    <div style={{
+      background: '#f0f4f7', borderRadius: '12px', padding: '14px',
+      border: `1px solid ${status ? status.color : '#e2e8f0'}`
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <span style={{ fontSize: '1.25rem' }}>{categoryInfo.icon}</span>
+        <span style={{ fontWeight: '600', flex: 1, fontFamily: 'DM Sans, sans-serif' }}>{item.title}</span>
+        {getQuantity(item) > 1 && (
+          <span style={{
+            fontSize: '0.75rem', fontWeight: '700', color: 'white', background: '#0d9488',
+            padding: '2px 8px', borderRadius: '9999px'
+          }}>×{getQuantity(item)}</span>
+        )}
+        <span style={{
+          fontSize: '0.75rem', color: '#64748b', background: 'white',
+          padding: '2px 8px', borderRadius: '9999px'
+        }}>#{number}</span>
+      </div>
+      <p style={{
+        fontSize: '0.875rem', color: '#64748b', marginBottom: '10px',
+        lineHeight: '1.4', fontFamily: 'DM Sans, sans-serif'
+      }}>{item.description}</p>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+        {RECONCILIATION_STATUSES.map(option => {
+          const selected = option.value === item.status;
+          return (
+            <button key={option.value} aria-pressed={selected}
+              onClick={() => onChange({ ...item, status: selected ? null : option.value })}
+              style={{
+                minHeight: '44px', padding: '6px 8px', fontSize: '0.8125rem', fontWeight: '500',
+                fontFamily: 'DM Sans, sans-serif', borderRadius: '8px', cursor: 'pointer',
+                border: `1px solid ${selected ? option.color : '#e2e8f0'}`,
+                background: selected ? option.color : 'white',
+                color: selected ? 'white' : '#1e293b'
+              }}>{option.label}</button>
+          );
+        })}
+      </div>
+      {status?.notePrompt && (
+        <input
+          type="text" value={item.note}
+          onChange={(e) => onChange({ ...item, note: e.target.value })}
+          placeholder={status.notePrompt}
+          style={{
+            width: '100%', padding: '10px 12px', border: '1px solid #e2e8f0', marginTop: '8px',
+            borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.875rem'
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Reconciliation Panel Component - discharge check of every item logged at admission.
+// The admission list comes from a scan-back, pasted export text or an exported text file.
+const ReconciliationPanel = ({ reconciliation, onChange, profile, stripPHI, onStripPHIChange, onDescribePhoto }) => {
+  const [pastedText, setPastedText] = useState('');
+  const [loadError, setLoadError] = useState(null);
+  const [showScanner, setShowScanner] = useState(false);
+  const [summaryQR, setSummaryQR] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const loadText = (text) => {
+    try {
+      const { items, encounter } = loadInventoryText(text);
+      if (items.length === 0) throw new Error('The inventory has no items');
+      onChange(createReconciliation(items, encounter));
+      setLoadError(null);
+      setPastedText('');
+    } catch (e) {
+      setLoadError(e.message);
+    }
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(loadText).catch(() => setLoadError('Could not read that file'));
+  };
+
+  // Summary as exported - optionally passed through the PHI scrubber first
+  const exported = reconciliation && (stripPHI
+    ? {
+        ...reconciliation,
+        admission: scrubItems(reconciliation.admission).items.map(item => ({ ...item, note: scrubPHI(item.note).text })),
+        found: scrubItems(reconciliation.found).items
+      }
+    : reconciliation);
+  const summaryText = exported && formatReconciliationText({
+    reconciliation: exported,
+    timestamp: new Date().toLocaleString(),
+    profile,
+    headerLines: formatEncounterLines({ bagNumber: '', location: '', staffInitials: '', witnessInitials: '', ...reconciliation.encounter })
+  });
+  const summaryBytes = summaryText ? getByteSize(summaryText) : 0;
+  const unchecked = reconciliation ? reconciliation.admission.filter(item => !item.status).length : 0;
+
+  // The summary QR is frozen when generated; any change hides it until regenerated
+  useEffect(() => setSummaryQR(null), [reconciliation, profile, stripPHI]);
+
+  const generateSummaryQR = () => {
+    QRCode.toDataURL(summaryText, { errorCorrectionLevel: 'M', width: 280, margin: 2 })
+      .then(url => setSummaryQR({ url, text: summaryText }))
+      .catch(err => {
+        console.error('QR Code generation error:', err);
+        setLoadError('Failed to generate QR code');
+      });
+  };
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(summaryQR.text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const sectionStyle = {
+    background: theme.light.surface, borderRadius: '16px', padding: '20px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.04)',
+    border: `1px solid ${theme.light.borderAccent}`
+  };
+  const headingStyle = { fontSize: '1.125rem', fontWeight: '600', marginBottom: '8px', color: theme.light.text };
+  const secondaryButton = {
+    padding: '8px 12px', fontSize: '0.875rem', border: `1px solid ${theme.light.borderAccent}`,
+    borderRadius: '8px', background: theme.light.surface, cursor: 'pointer',
+    fontFamily: 'DM Sans, sans-serif', color: theme.light.accent, fontWeight: '500'
+  };
+  const errorBox = loadError && (
+    <div style={{
+      padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+      background: '#fef2f2', color: '#b91c1c', border: '1px solid #fecaca'
+    }}>⚠️ {loadError}</div>
+  );
+
+  if (!reconciliation) {
+    return (
+      <section style={sectionStyle}>
+        <h2 style={headingStyle}>Load Admission Inventory</h2>
+        <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '16px' }}>
+          Scan the admission QR code, paste its text, or import an exported text file
+        </p>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+          <button onClick={() => setShowScanner(true)} style={{ ...secondaryButton, flex: 1, minHeight: '48px' }}>📷 Scan QR</button>
+          <label style={{ ...secondaryButton, flex: 1, minHeight: '48px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            📄 Import file
+            <input type="file" accept=".txt,text/plain" onChange={handleImport} style={{ display: 'none' }} />
+          </label>
+        </div>
+        <textarea
+          value={pastedText}
+          onChange={(e) => setPastedText(e.target.value)}
+          placeholder="Or paste the exported inventory text (all parts)"
+          rows={4}
+          style={{
+            width: '100%', padding: '12px', border: '1px solid #e2e8f0', borderRadius: '12px',
+            fontFamily: 'DM Sans, sans-serif', fontSize: '0.875rem', resize: 'none', marginBottom: '12px'
+          }}
+        />
+        <button onClick={() => loadText(pastedText)} disabled={!pastedText.trim()}
+          style={{
+            width: '100%', padding: '14px', fontSize: '1rem', fontWeight: '600',
+            fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
+            background: pastedText.trim() ? theme.light.accent : theme.light.border,
+            color: pastedText.trim() ? 'white' : theme.light.textMuted,
+            cursor: pastedText.trim() ? 'pointer' : 'not-allowed'
+          }}>Load pasted text</button>
+        {errorBox}
+
+        {showScanner && (
+          <QRScanModal
+            existingCount={0}
+            onLoad={(items, encounter) => {
+              onChange(createReconciliation(items, encounter));
+              setShowScanner(false);
+            }}
+            onClose={() => setShowScanner(false)}
+          />
+        )}
+      </section>
+    );
+  }
+
+  const updateAdmission = (index, item) => onChange({
+    ...reconciliation,
+    admission: reconciliation.admission.map((existing, i) => (i === index ? item : existing))
+  });
+
+  return (
+    <>
+      <section style={sectionStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ ...headingStyle, marginBottom: 0 }}>
+            Admission Items ({reconciliation.admission.length - unchecked}/{reconciliation.admission.length} checked)
+          </h2>
+          <button onClick={() => onChange(null)} style={secondaryButton}>Start over</button>
+        </div>
+        {reconciliation.encounter?.bagNumber && (
+          <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '12px' }}>
+            Bag/Tag {reconciliation.encounter.bagNumber}
+            {reconciliation.encounter.location ? ` · ${reconciliation.encounter.location}` : ''}
+          </p>
+        )}
+        <button
+          onClick={() => onChange({
+            ...reconciliation,
+            admission: reconciliation.admission.map(item => (item.status ? item : { ...item, status: 'returned' }))
+          })}
+          disabled={unchecked === 0}
+          style={{ ...secondaryButton, width: '100%', minHeight: '44px', marginBottom: '12px', opacity: unchecked === 0 ? 0.5 : 1 }}>
+          Mark remaining {unchecked} as returned
+        </button>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {reconciliation.admission.map((item, index) => (
+            <ReconciliationItem key={index} item={item} number={index + 1}
+              onChange={(updated) => updateAdmission(index, updated)} />
+          ))}
+        </div>
+      </section>
+
+      <section style={sectionStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <h2 style={{ ...headingStyle, marginBottom: 0 }}>Found, Not Logged ({reconciliation.found.length})</h2>
+          <button
+            onClick={() => onChange({
+              ...reconciliation,
+              found: [...reconciliation.found, withItemId({ title: 'Found Item', category: FALLBACK_CATEGORY.value, description: 'Enter description', quantity: 1 })]
+            })}
+            style={secondaryButton}>+ Add Item</button>
+        </div>
+        <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: reconciliation.found.length ? '12px' : 0 }}>
+          Belongings handed back that were never on the admission list
+        </p>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {reconciliation.found.map((item, index) => (
+            <InventoryItem
+              key={item.id} item={item} index={index}
+              onUpdate={(i, data) => onChange({ ...reconciliation, found: reconciliation.found.map((f, idx) => (idx === i ? data : f)) })}
+              onDelete={(i) => onChange({ ...reconciliation, found: reconciliation.found.filter((_, idx) => idx !== i) })}
+              onDescribePhoto={onDescribePhoto}
+            />
+          ))}
+        </div>
+      </section>
+
+      <section style={sectionStyle}>
+        <h2 style={headingStyle}>Reconciliation Summary</h2>
+        <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '12px' }}>
+          Uses the {profile.label} scanner format. Only discrepancies are listed item by item.
+        </p>
+        <label style={{
+          display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px',
+          fontSize: '0.875rem', color: theme.light.text, cursor: 'pointer'
+        }}>
+          <input
+            type="checkbox" checked={stripPHI}
+            onChange={(e) => onStripPHIChange(e.target.checked)}
+            style={{ width: '20px', height: '20px', accentColor: theme.light.accent }}
+          />
+          <span style={{ flex: 1 }}>Strip names, ID numbers and other PHI from export</span>
+        </label>
+        <pre style={{
+          background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: '12px', padding: '12px',
+          fontSize: '0.75rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '240px',
+          overflowY: 'auto', marginBottom: '12px', fontFamily: 'ui-monospace, monospace'
+        }}>{summaryText}</pre>
+        <SizeIndicator currentBytes={summaryBytes} maxBytes={MAX_QR_BYTES} partCount={1} />
+        {unchecked > 0 && (
+          <div style={{
+            padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+            background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
+          }}>⚠️ {unchecked} item{unchecked > 1 ? 's are' : ' is'} not checked yet and will be listed as NOT CHECKED.</div>
+        )}
+        {summaryBytes > MAX_QR_BYTES && (
+          <div style={{
+            padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+            background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
+          }}>⚠️ The summary is too large for one QR code. Shorten descriptions or notes.</div>
+        )}
+        {summaryQR ? (
+          <div style={{ textAlign: 'center', marginTop: '16px' }}>
+            <img src={summaryQR.url} alt="Reconciliation summary QR code" style={{ width: '100%', maxWidth: '280px' }} />
+            <button onClick={copySummary} style={{ ...secondaryButton, width: '100%', minHeight: '44px', marginTop: '8px' }}>
+              {copied ? '✓ Copied!' : '📋 Copy Text'}
+            </button>
+          </div>
+        ) : (
+          <button onClick={generateSummaryQR} disabled={summaryBytes > MAX_QR_BYTES}
+            style={{
+              width: '100%', padding: '16px', fontSize: '1.0625rem', fontWeight: '600', marginTop: '16px',
+              fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
+              background: summaryBytes <= MAX_QR_BYTES
+                ? `linear-gradient(135deg, ${theme.light.accent} 0%, ${theme.light.accentHover} 100%)`
+                : theme.light.border,
+              color: summaryBytes <= MAX_QR_BYTES ? 'white' : theme.light.textMuted,
+              cursor: summaryBytes <= MAX_QR_BYTES ? 'pointer' : 'not-allowed'
+            }}>Generate Summary QR</button>
+        )}
+        {errorBox}
+      </section>
+    </>
+  );
+};
+
 // Main App Component
 export default function PatientBelongingsApp() {
   const [showOnboarding, setShowOnboarding] = useState(true);
   const [isRecording, setIsRecording] = useState(false);
-  const [transcription, setTranscription] = useState('');
+  // Dictated transcript as entries (see formatTranscript) so voice commands can edit it
+  const [transcriptEntries, setTranscriptEntries] = useState([]);
+  const transcription = formatTranscript(transcriptEntries);
   const [interimTranscript, setInterimTranscript] = useState('');
-  const [items, setItems] = useState([]);
+  // The inventory list with its undo/redo history: { past, present, future }
+  const [itemHistory, setItemHistory] = useState({ past: [], present: [], future: [] });
+  const items = itemHistory.present;
+  const [toast, setToast] = useState(null); // { message, undoable }
+  const [selectedIds, setSelectedIds] = useState(null); // null unless selecting items to merge
+  const [splittingId, setSplittingId] = useState(null);
+  const [duplicateReview, setDuplicateReview] = useState(null); // { items, duplicates } awaiting review
   const [isProcessing, setIsProcessing] = useState(false);
+  const [streamedItems, setStreamedItems] = useState([]); // items received so far from a streaming extraction
   const [showQR, setShowQR] = useState(false);
+  const [qrPartIndex, setQrPartIndex] = useState(0);
+  const [viewedParts, setViewedParts] = useState([]);
+  const [outputProfile, setOutputProfile] = useState('multiline');
+  const [exportDisposition, setExportDisposition] = useState('all'); // 'all' or a disposition value
   const [qrCodeDataUrl, setQrCodeDataUrl] = useState(null);
   const [error, setError] = useState(null);
+  const [extractionReport, setExtractionReport] = useState(null);
+  const [extractionMode, setExtractionMode] = useState(() => (getAIConfig() ? 'ai' : 'local'));
+  const [speechLanguage, setSpeechLanguage] = useState(SPEECH_LANGUAGES[0].value);
+  const [liveMode, setLiveMode] = useState(false); // extract each phrase while still recording
+  const [liveQueue, setLiveQueue] = useState([]); // [{ id, text }] phrases awaiting extraction, in order
+  const [liveActiveId, setLiveActiveId] = useState(null); // phrase being extracted
+  const selectedLanguage = SPEECH_LANGUAGES.find(l => l.value === speechLanguage) || SPEECH_LANGUAGES[0];
+  // Dictation the scrubber has no name cues for is never sent to the AI backend
+  const languageScrubbable = canScrubLanguage(selectedLanguage.value);
+  const unscrubbableNotice = `Names can't be redacted from ${selectedLanguage.name} dictation, so it stayed on this device and was processed with offline rules. Review each item.`;
   const [speechSupported, setSpeechSupported] = useState(true);
   const [manualInput, setManualInput] = useState('');
+  // What Process will send: the dictated transcript, else the typed text
+  const pendingText = transcription.trim() ? transcription : manualInput;
+  const [stripPHIFromExport, setStripPHIFromExport] = useState(true);
+  const [encounter, setEncounter] = useState({ bagNumber: '', location: '', staffInitials: '', witnessInitials: '' });
+  const [attestation, setAttestation] = useState(null);
+  const [attestationSkipped, setAttestationSkipped] = useState(false);
+  const [printJob, setPrintJob] = useState(null);
+  const [showScanner, setShowScanner] = useState(false);
+  const [workflow, setWorkflow] = useState('admission'); // 'admission' | 'discharge'
+  const [reconciliation, setReconciliation] = useState(null);
+  const [showAttestation, setShowAttestation] = useState(null); // null | 'qr' (then open QR) | 'label' (then print it) | 'edit'
+  const [labelRequested, setLabelRequested] = useState(false); // print the label once the attestation is in
+  const [commandFlash, setCommandFlash] = useState(null); // { id, label } of the last voice command
+  const [processRequested, setProcessRequested] = useState(false);
+  const [showVoiceHelp, setShowVoiceHelp] = useState(false);
+  const [micLevel, setMicLevel] = useState(null); // 0-1 while the level meter is open
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
+  const [clock, setClock] = useState(() => Date.now()); // ticks every second while recording
+  const [micTest, setMicTest] = useState(null); // { status: listening | heard | silent | failed, message }
   
   const recognitionRef = useRef(null);
   const shouldRestartRef = useRef(false);
+  // Recognizer callbacks outlive renders, so they reach current state through these refs
+  const transcriptRef = useRef([]);
+  const speechResultRef = useRef(null);
+  const processAbortRef = useRef(null); // AbortController of the extraction in flight
+  const liveContextRef = useRef([]); // ids of the latest items added by live processing
+  const liveRedactionsRef = useRef([]); // scrubber placeholders handed out during live processing
+  const livePhraseIdRef = useRef(0);
+  const micStopRef = useRef(null); // releases the level meter's microphone stream
+  const micRequestRef = useRef(0); // bumped on release so a stream still opening is dropped
+  const lastSoundAtRef = useRef(0);
+  const micPeakRef = useRef(0);
+  const micTestTimerRef = useRef(null);
+  const photoUrlsRef = useRef(new Set());
 
   useEffect(() => {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -414,7 +3399,6 @@ export default function PatientBelongingsApp() {
     const recognition = new SpeechRecognition();
     recognition.continuous = false;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
 
     recognition.onresult = (event) => {
       let interim = '';
@@ -424,7 +3408,7 @@ export default function PatientBelongingsApp() {
         if (event.results[i].isFinal) final += transcript + ' ';
         else interim += transcript;
       }
-      if (final) setTranscription(prev => prev + final);
+      if (final) speechResultRef.current(final);
       setInterimTranscript(interim);
     };
 
@@ -453,134 +3437,615 @@ export default function PatientBelongingsApp() {
       setIsRecording(false);
     };
 
-    recognition.onend = () => {
-      if (shouldRestartRef.current) {
-        setTimeout(() => { try { recognition.start(); } catch (e) {} }, 100);
-      } else {
-        setIsRecording(false);
-      }
-    };
+    recognition.onend = () => {
+      if (shouldRestartRef.current) {
+        setTimeout(() => { try { recognition.start(); } catch (e) {} }, 100);
+      } else {
+        setIsRecording(false);
+      }
+    };
+
+    return recognition;
+  }, []);
+
+  const updateTranscript = (entries) => {
+    transcriptRef.current = entries;
+    setTranscriptEntries(entries);
+  };
+
+  const stopRecording = () => {
+    shouldRestartRef.current = false;
+    recognitionRef.current?.stop();
+    setIsRecording(false);
+  };
+
+  // Stop the level meter and release its microphone stream, including one still being opened
+  const releaseMic = () => {
+    micRequestRef.current += 1;
+    micStopRef.current?.();
+    micStopRef.current = null;
+    setMicLevel(null);
+  };
+
+  // Resolves to false when the meter was released again before the microphone opened
+  const startMicMeter = async () => {
+    releaseMic();
+    const request = micRequestRef.current;
+    lastSoundAtRef.current = Date.now();
+    micPeakRef.current = 0;
+    const stop = await openMicMeter((level) => {
+      setMicLevel(Math.round(level * 20) / 20);
+      micPeakRef.current = Math.max(micPeakRef.current, level);
+      if (level >= SILENCE_LEVEL) lastSoundAtRef.current = Date.now();
+    });
+    if (request !== micRequestRef.current) {
+      stop();
+      return false;
+    }
+    micStopRef.current = stop;
+    return true;
+  };
+
+  const closeMicTest = () => {
+    clearTimeout(micTestTimerRef.current);
+    releaseMic();
+    setMicTest(null);
+  };
+
+  const testMicrophone = async () => {
+    closeMicTest();
+    setMicTest({ status: 'listening' });
+    try {
+      if (!await startMicMeter()) return;
+    } catch (e) {
+      setMicTest({ status: 'failed', message: describeMicError(e) });
+      return;
+    }
+    micTestTimerRef.current = setTimeout(() => {
+      releaseMic();
+      setMicTest({ status: micPeakRef.current >= SILENCE_LEVEL ? 'heard' : 'silent' });
+    }, MIC_TEST_SECONDS * 1000);
+  };
+
+  // However recording ends - the stop button, a voice command, a recognizer error - the level
+  // meter's stream is released with it so the browser's microphone indicator goes off
+  useEffect(() => {
+    if (isRecording) return;
+    releaseMic();
+    setRecordingStartedAt(null);
+  }, [isRecording]);
+
+  useEffect(() => () => {
+    clearTimeout(micTestTimerRef.current);
+    micRequestRef.current += 1;
+    micStopRef.current?.();
+  }, []);
+
+  useEffect(() => {
+    if (!isRecording) return;
+    setClock(Date.now());
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  const toggleRecording = async () => {
+    if (isRecording) {
+      stopRecording();
+    } else {
+      setError(null);
+      closeMicTest();
+      if (!recognitionRef.current) recognitionRef.current = initRecognition();
+      if (recognitionRef.current) {
+        // The recognizer is reused across sessions, so pick up the current language on every start
+        recognitionRef.current.lang = selectedLanguage.value;
+        try {
+          shouldRestartRef.current = true;
+          await recognitionRef.current.start();
+          setIsRecording(true);
+          setRecordingStartedAt(Date.now());
+        } catch (e) {
+          setError('Failed to start recording. Please try again.');
+          return;
+        }
+        // Recording goes on without the meter when the microphone can't be opened a second time
+        startMicMeter().catch(e => console.warn('Microphone level meter unavailable:', e));
+      }
+    }
+  };
+
+  const processTranscription = async () => {
+    const textToProcess = pendingText;
+    if (!textToProcess.trim()) {
+      setError('Please record or enter some text first.');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+    setExtractionReport(null);
+
+    // Offline rules when chosen or when no AI backend is configured; also the fallback
+    // when the AI request itself fails (network drop, backend down)
+    const aiConfig = extractionMode === 'ai' && languageScrubbable ? getAIConfig() : null;
+    let notice = null;
+    let redactions = [];
+    let cancelled = false;
+
+    try {
+      let result;
+      if (!aiConfig) {
+        result = extractItemsLocally(textToProcess);
+        notice = extractionMode !== 'ai'
+          ? 'Processed with offline rules. Review each item.'
+          : languageScrubbable
+            ? 'No AI backend configured - processed with offline rules. Review each item.'
+            : unscrubbableNotice;
+        if (selectedLanguage.name !== DOCUMENTATION_LANGUAGE) {
+          notice += ` Offline rules don't translate: descriptions stay as entered, not in ${DOCUMENTATION_LANGUAGE}.`;
+        }
+      } else {
+        // Nothing identifying leaves the browser: the AI only ever sees placeholders
+        const scrubbed = scrubPHI(textToProcess);
+        redactions = scrubbed.redactions;
+        // Streamed items show as pending until the response is complete
+        const received = [];
+        const controller = new AbortController();
+        processAbortRef.current = controller;
+        try {
+          result = await extractItems(scrubbed.text, aiConfig, selectedLanguage, {
+            signal: controller.signal,
+            onItem: (item) => {
+              received.push(withItemId(item));
+              setStreamedItems([...received]);
+            }
+          });
+        } catch (e) {
+          if (e.name !== 'AbortError') {
+            console.error('Processing error, falling back to offline rules:', e);
+            result = extractItemsLocally(textToProcess);
+            notice = 'AI backend unreachable - processed with offline rules. Review each item.';
+          } else if (received.length === 0) {
+            // Cancelled before any item arrived: leave the transcript for another try
+            return;
+          } else {
+            cancelled = true;
+            result = { items: received, salvaged: [], rejected: [], unstructured: [], errors: [], attempts: 1 };
+            notice = `Processing cancelled - kept the ${received.length} item${received.length === 1 ? '' : 's'} received so far. The transcript is kept in case anything is missing.`;
+          }
+        }
+      }
+
+      if (result.items.length === 0 && result.unstructured.length === 0) {
+        console.error('Extraction validation errors:', result.errors);
+        setError('Could not extract any items. Try rephrasing or add items manually.');
+        return;
+      }
+
+      // The whole batch is one undo step. Suspected duplicates hold the batch for review first.
+      const duplicates = findDuplicates(result.items, items);
+      if (duplicates.length > 0) {
+        setDuplicateReview({ items: result.items, duplicates });
+      } else if (result.items.length > 0) {
+        updateItems(`Add ${result.items.length} processed item${result.items.length === 1 ? '' : 's'}`, prev => [...prev, ...result.items]);
+      }
+      if (!cancelled) {
+        updateTranscript([]);
+        setManualInput('');
+        setInterimTranscript('');
+      }
+      if (notice || redactions.length || result.salvaged.length || result.rejected.length || result.unstructured.length) {
+        setExtractionReport({ ...result, notice, redactions });
+      }
+    } catch (e) {
+      setError('Failed to process. Try again or add items manually.');
+      console.error('Processing error:', e);
+    } finally {
+      processAbortRef.current = null;
+      setStreamedItems([]);
+      setIsProcessing(false);
+    }
+  };
+
+  // Every change to the list goes through here so it can be undone as one step.
+  // `label` names the step for the undo/redo buttons, e.g. 'Delete "Wallet"'.
+  // Any change or undo/redo retires an open undo toast, which only ever covers the latest step.
+  // The list is kept grouped by disposition, the order the export and receipt use, so the
+  // on-screen numbers are the printed ones; a move out of its group settles back into it.
+  const updateItems = useCallback((label, updater) => {
+    setToast(null);
+    setItemHistory(history => {
+      const next = groupByDisposition(typeof updater === 'function' ? updater(history.present) : updater);
+      if (next.length === history.present.length && next.every((item, i) => item === history.present[i])) return history;
+      return {
+        past: [...history.past, { items: history.present, label }].slice(-MAX_HISTORY),
+        present: next.map(withItemId),
+        future: []
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setToast(null);
+    setItemHistory(history => {
+      if (history.past.length === 0) return history;
+      const step = history.past[history.past.length - 1];
+      return {
+        past: history.past.slice(0, -1),
+        present: step.items,
+        future: [{ items: history.present, label: step.label }, ...history.future]
+      };
+    });
+  }, []);
 
-    return recognition;
+  const redo = useCallback(() => {
+    setToast(null);
+    setItemHistory(history => {
+      if (history.future.length === 0) return history;
+      const [step, ...future] = history.future;
+      return {
+        past: [...history.past, { items: history.present, label: step.label }],
+        present: step.items,
+        future
+      };
+    });
   }, []);
 
-  const toggleRecording = async () => {
-    if (isRecording) {
-      shouldRestartRef.current = false;
-      recognitionRef.current?.stop();
-      setIsRecording(false);
+  const undoLabel = itemHistory.past[itemHistory.past.length - 1]?.label;
+  const redoLabel = itemHistory.future[0]?.label;
+
+  // Deletions are the easiest to make by mistake, so each one offers Undo for a few seconds
+  const deleteItem = (index) => {
+    const { title } = items[index];
+    updateItems(`Delete "${title}"`, prev => prev.filter((_, idx) => idx !== index));
+    setToast({ message: `Deleted "${title}"`, undoable: true });
+  };
+
+  // Selected items still in the list (an undo may have removed some), in list order
+  const selectedItems = selectedIds ? items.filter(item => selectedIds.includes(item.id)) : [];
+
+  const mergeSelected = () => {
+    const merged = mergeItems(selectedItems);
+    updateItems(`Merge ${selectedItems.length} items`, prev => prev
+      .filter(item => !selectedIds.includes(item.id) || item.id === merged.id)
+      .map(item => (item.id === merged.id ? merged : item)));
+    setSelectedIds(null);
+  };
+
+  const splitItem = (id, pieces) => {
+    const item = items.find(i => i.id === id);
+    updateItems(`Split "${item.title}"`, prev => prev.flatMap(i => (i.id === id ? pieces : [i])));
+    setSplittingId(null);
+  };
+
+  // Commit a reviewed batch: merged items fold into the listed match, kept ones are added
+  // with a "possible duplicate" badge, discarded ones are dropped
+  const resolveDuplicates = (choices) => {
+    const { items: batch, duplicates } = duplicateReview;
+    const reviewed = new Map(duplicates.map((duplicate, i) => [duplicate.item, { ...duplicate, choice: choices[i] }]));
+    const merges = duplicates.filter((_, i) => choices[i] === 'merge');
+    const added = batch
+      .filter(item => !reviewed.has(item) || reviewed.get(item).choice === 'keep')
+      .map(item => (reviewed.has(item) ? { ...item, duplicateOf: reviewed.get(item).match.id } : item));
+    setDuplicateReview(null);
+    if (added.length === 0 && merges.length === 0) return;
+
+    const label = added.length > 0
+      ? `Add ${added.length} processed item${added.length === 1 ? '' : 's'}`
+      : `Merge ${merges.length} processed item${merges.length === 1 ? '' : 's'}`;
+    updateItems(label, prev => [
+      ...merges.reduce((list, { item, match }) => list.map(i => (i.id === match.id ? mergeDuplicate(i, item) : i)), prev),
+      ...added
+    ]);
+  };
+
+  // "#2 Black sock" for the item a kept duplicate resembles, while it is still listed
+  const describeDuplicateOf = (item) => {
+    const index = item.duplicateOf ? items.findIndex(i => i.id === item.duplicateOf) : -1;
+    return index === -1 ? null : `#${index + 1} ${items[index].title}`;
+  };
+
+  const dismissDuplicate = (id) => {
+    const item = items.find(i => i.id === id);
+    updateItems(`Not a duplicate: "${item.title}"`, prev => prev.map(i => {
+      if (i.id !== id) return i;
+      const { duplicateOf, ...rest } = i;
+      return rest;
+    }));
+  };
+
+  const toggleSelected = (id) => setSelectedIds(prev => (
+    prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]
+  ));
+
+  const clearItems = () => {
+    updateItems(`Clear ${items.length} items`, []);
+    setToast({ message: `Cleared ${items.length} items`, undoable: true });
+  };
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // A final speech result: dictated text goes into the transcript and commands are acted on
+  speechResultRef.current = (text) => {
+    lastSoundAtRef.current = Date.now();
+    const segments = parseVoiceCommands(text);
+    // In live mode every result is a phrase of its own, queued instead of added to the transcript
+    const { entries, actions } = applyVoiceSegments(liveMode ? [] : transcriptRef.current, segments);
+    if (liveMode) {
+      const phrase = formatTranscript(entries).trim();
+      if (phrase) setLiveQueue(prev => [...prev, { id: ++livePhraseIdRef.current, text: phrase }]);
     } else {
-      setError(null);
-      if (!recognitionRef.current) recognitionRef.current = initRecognition();
-      if (recognitionRef.current) {
-        try {
-          shouldRestartRef.current = true;
-          await recognitionRef.current.start();
-          setIsRecording(true);
-        } catch (e) {
-          setError('Failed to start recording. Please try again.');
-        }
+      updateTranscript(entries);
+    }
+    const commands = segments.filter(segment => segment.type === 'command');
+    if (commands.length > 0) {
+      const last = commands[commands.length - 1];
+      const label = last.action === 'category'
+        ? `Category: ${getCategory(last).label}`
+        : VOICE_COMMANDS.find(command => command.action === last.action).label;
+      setCommandFlash({ id: Date.now(), label });
+    }
+    // "Scratch that" / "delete last item" with nothing dictated: a live phrase still waiting is
+    // dropped; otherwise the last list change is undone or the last item deleted
+    const waiting = liveQueue.filter(phrase => phrase.id !== liveActiveId);
+    if (actions.includes('scratchPrevious') || actions.includes('deleteListItem')) {
+      if (liveMode && waiting.length > 0) {
+        const dropped = waiting[waiting.length - 1].id;
+        setLiveQueue(prev => prev.filter(phrase => phrase.id !== dropped));
+      } else if (actions.includes('deleteListItem')) {
+        if (items.length > 0) deleteItem(items.length - 1);
+      } else if (liveMode) {
+        undo();
       }
     }
+    if (actions.includes('stop') || actions.includes('process')) stopRecording();
+    // Live phrases are processed already; the queue finishes on its own
+    if (actions.includes('process') && !liveMode) setProcessRequested(true);
   };
 
-  const processTranscription = async () => {
-    const textToProcess = transcription || manualInput;
-    if (!textToProcess.trim()) {
-      setError('Please record or enter some text first.');
-      return;
+  // Extract one live phrase, with the latest live items as context, and add the result to the
+  // list as one undo step. Suspected duplicates are kept with their badge rather than stopping
+  // the dictation for a review.
+  const processLivePhrase = async (text) => {
+    const context = liveContextRef.current.map(id => items.find(item => item.id === id)).filter(Boolean);
+    const aiConfig = extractionMode === 'ai' && languageScrubbable ? getAIConfig() : null;
+    let result = null;
+    let notice = null;
+    let redactions = [];
+    if (aiConfig) {
+      // Placeholders are numbered across the whole dictation, so [NAME-1] is the same person
+      // in every live item
+      const scrubbedContext = scrubItems(context, liveRedactionsRef.current);
+      const scrubbed = scrubPHI(text, scrubbedContext.redactions);
+      redactions = scrubbed.redactions.filter(r => !liveRedactionsRef.current.includes(r));
+      liveRedactionsRef.current = scrubbed.redactions;
+      try {
+        result = await extractItems(scrubbed.text, aiConfig, selectedLanguage, { context: scrubbedContext.items });
+      } catch (e) {
+        console.error('Live processing error, falling back to offline rules:', e);
+        notice = 'AI backend unreachable - live phrases processed with offline rules. Review each item.';
+      }
+    }
+    if (!result) {
+      if (extractionMode === 'ai' && !languageScrubbable) notice = unscrubbableNotice;
+      // Offline rules: words that don't start an item are details for the previous live item
+      const local = extractItemsLocally(text);
+      result = context.length > 0 && local.unstructured.length > 0
+        ? { ...local, unstructured: [], updates: local.unstructured.map(detail => ({ ref: context.length, detail })) }
+        : local;
     }
 
-    setIsProcessing(true);
-    setError(null);
-
-    // Get API key from environment or prompt user
-    const apiKey = import.meta.env.VITE_ANTHROPIC_API_KEY;
-    const apiProxyUrl = import.meta.env.VITE_API_PROXY_URL;
-    
-    if (!apiKey && !apiProxyUrl) {
-      setError('API key not configured. Please set VITE_ANTHROPIC_API_KEY or VITE_API_PROXY_URL in .env file.');
-      setIsProcessing(false);
-      return;
+    const updates = (result.updates || [])
+      .filter(update => update.ref <= context.length)
+      .map(update => ({ ...update, id: context[update.ref - 1].id }));
+    const duplicates = findDuplicates(result.items, items);
+    const added = result.items.map(item => {
+      const duplicate = duplicates.find(d => d.item === item);
+      return withItemId(duplicate ? { ...item, duplicateOf: duplicate.match.id } : item);
+    });
+    if (added.length > 0 || updates.length > 0) {
+      const label = added.length > 0
+        ? `Add ${added.length} live item${added.length === 1 ? '' : 's'}`
+        : `Add details to "${context[updates[0].ref - 1].title}"`;
+      updateItems(label, prev => [
+        ...prev.map(item => {
+          const details = updates.filter(u => u.id === item.id).map(u => u.detail);
+          return details.length ? { ...item, description: details.reduce(appendDetail, item.description) } : item;
+        }),
+        ...added
+      ]);
+      liveContextRef.current = [...liveContextRef.current, ...added.map(item => item.id)].slice(-LIVE_CONTEXT_SIZE);
     }
+    if (notice || redactions.length || result.salvaged.length || result.rejected.length || result.unstructured.length) {
+      setExtractionReport(prev => mergeExtractionReports(prev, { ...result, notice, redactions }));
+    }
+  };
 
-    try {
-      const apiUrl = apiProxyUrl || "https://api.anthropic.com/v1/messages";
-      const headers = {
-        "Content-Type": "application/json",
-      };
+  // Live phrases are extracted one at a time, in spoken order, so each one sees the items
+  // of the phrases before it
+  useEffect(() => {
+    if (liveActiveId !== null || liveQueue.length === 0) return;
+    const [phrase] = liveQueue;
+    setLiveActiveId(phrase.id);
+    processLivePhrase(phrase.text)
+      .catch(e => console.error('Live processing error:', e))
+      .finally(() => {
+        setLiveQueue(prev => prev.filter(p => p.id !== phrase.id));
+        setLiveActiveId(null);
+      });
+  }, [liveQueue, liveActiveId]);
+
+  useEffect(() => {
+    if (!commandFlash) return;
+    const timer = setTimeout(() => setCommandFlash(null), 1500);
+    return () => clearTimeout(timer);
+  }, [commandFlash]);
 
-      // Add API key header if using direct API (not proxy)
-      if (!apiProxyUrl && apiKey) {
-        headers["x-api-key"] = apiKey;
-        headers["anthropic-version"] = "2023-06-01";
-        headers["anthropic-dangerous-direct-browser-access"] = "true";
+  // "Process now" runs once the transcript update from the same result has rendered
+  useEffect(() => {
+    if (!processRequested) return;
+    setProcessRequested(false);
+    if (!isProcessing) processTranscription();
+  }, [processRequested]);
+
+  // Desktop shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo. Text fields keep
+  // their own native undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
 
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers,
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1000,
-          messages: [{
-            role: "user",
-            content: `You are processing a voice transcription of hospital patient belongings for inventory tracking. Extract each distinct item and return ONLY valid JSON (no markdown, no explanation).
-
-IMPORTANT - Use appearance-based descriptions, NOT material value terms:
-- Instead of "gold" → use "yellow metal" or "yellow-colored"
-- Instead of "silver" → use "grey metallic" or "silver-colored"  
-- Instead of "diamond" → use "clear gem" or "clear stone"
-- Instead of "platinum" → use "white metal"
-- Instead of "pearl" → use "white bead" or "iridescent bead"
-- Never assume authenticity of materials - describe only what is visually apparent
+  // Item photos live only as object URLs; release each one once neither the list, its undo
+  // history nor the reconciliation references it
+  useEffect(() => {
+    const inUse = new Set([
+      ...itemHistory.past.flatMap(step => step.items),
+      ...itemHistory.present,
+      ...itemHistory.future.flatMap(step => step.items),
+      ...(reconciliation?.found || [])
+    ].flatMap(item => (item.photos || []).map(photo => photo.url)));
+    photoUrlsRef.current.forEach(url => { if (!inUse.has(url)) URL.revokeObjectURL(url); });
+    photoUrlsRef.current = inUse;
+  }, [itemHistory, reconciliation]);
 
-Return format:
-{"items":[{"title":"Brief item name","category":"one of: clothing, electronics, documents, jewelry, accessories, medical, other","description":"Detailed description including color, brand, condition, contents - use appearance-based terms for materials"}]}
+  useEffect(() => () => photoUrlsRef.current.forEach(url => URL.revokeObjectURL(url)), []);
 
-Transcription to process:
-"${textToProcess}"
+  // Photo descriptions follow the extraction mode: offline mode never sends a photo out
+  const photoAIConfig = extractionMode === 'ai' ? getAIConfig() : null;
+  const describeItemPhoto = photoAIConfig ? (url) => describePhoto(url, photoAIConfig) : undefined;
 
-Remember: Return ONLY the JSON object, nothing else.`
-          }]
-        })
-      });
+  // Preview of what the scrubber will replace before the transcript is sent
+  const inputRedactions = scrubPHI(pendingText).redactions;
 
-      const data = await response.json();
-      if (data.error) throw new Error(data.error.message || 'API error');
+  const selectedProfile = OUTPUT_PROFILES.find(p => p.value === outputProfile) || OUTPUT_PROFILES[0];
 
-      const content = data.content[0].text;
-      const cleanJson = content.replace(/```json\n?|\n?```/g, '').trim();
-      const parsed = JSON.parse(cleanJson);
-      
-      if (parsed.items && Array.isArray(parsed.items)) {
-        setItems(prev => [...prev, ...parsed.items]);
-        setTranscription('');
-        setManualInput('');
-        setInterimTranscript('');
-      }
-    } catch (e) {
-      setError('Failed to process. Try again or add items manually.');
-      console.error('Processing error:', e);
-    } finally {
-      setIsProcessing(false);
-    }
+  // A signature covers the list as it was signed; any later change needs a new attestation
+  const attestationCurrent = isAttestationComplete(attestation) && attestation.itemsKey === getItemsKey(items);
+
+  // Optional export of a single destination (e.g. only the security safe items)
+  const usedDispositions = DISPOSITIONS.filter(d => items.some(item => item.disposition === d.value));
+  const exportFilter = usedDispositions.find(d => d.value === exportDisposition) || null;
+  const exportItems = exportFilter ? items.filter(item => item.disposition === exportFilter.value) : items;
+
+  // Item text as exported - optionally passed through the PHI scrubber first
+  const exportScrub = stripPHIFromExport ? scrubItems(exportItems) : { items: exportItems, redactions: [] };
+
+  const exportHeaderLines = [
+    ...formatEncounterLines(encounter),
+    ...(exportFilter ? [`Filter: ${exportFilter.label} only (${exportItems.length} of ${items.length} items)`] : []),
+    ...(attestation || siteConfig.requireAttestation ? [formatAttestationLine(attestationCurrent ? attestation : null)] : [])
+  ];
+
+  // Split into one or more QR-sized parts; every part shares the same timestamp
+  const generateInventoryParts = (timestamp = new Date().toLocaleString()) => splitInventory(exportScrub.items, {
+    timestamp,
+    profile: selectedProfile,
+    headerLines: exportHeaderLines
+  });
+
+  const inventoryParts = generateInventoryParts();
+  const currentPartIndex = Math.min(qrPartIndex, inventoryParts.length - 1);
+  const inventoryText = inventoryParts[currentPartIndex].text;
+  const currentBytes = Math.max(...inventoryParts.map(part => part.bytes));
+  // Cash-handling policy: a witness has to initial any inventory that lists cash
+  const encounterErrors = validateEncounter(encounter, exportItems.some(hasCash)
+    ? { witnessInitials: 'Witness initials are required when cash is listed' }
+    : {});
+  // The Witness field is the one record of who witnessed; an attestation naming someone else
+  // would contradict it in the same export
+  if (!encounterErrors.witnessInitials && attestation
+    && attestation.witnessInitials !== (encounter.witnessInitials || '').trim()) {
+    encounterErrors.witnessInitials = `Attestation was witnessed by ${attestation.witnessInitials} - redo the attestation or change this back`;
+  }
+  const canGenerateQR = items.length > 0 && currentBytes <= MAX_QR_BYTES && Object.keys(encounterErrors).length === 0;
+
+  // Attestation step first, unless already done for this list (or skipped where optional)
+  const attestationSatisfied = attestationCurrent || (attestationSkipped && !siteConfig.requireAttestation);
+
+  const requestQR = () => {
+    if (attestationSatisfied) openQR();
+    else setShowAttestation('qr');
+  };
+
+  // The bag label carries the same QR, so it goes through the same attestation step
+  const requestLabel = () => {
+    if (attestationSatisfied) printDocument('label');
+    else setShowAttestation('label');
+  };
+
+  const continueAfterAttestation = () => {
+    if (showAttestation === 'qr') openQR();
+    else setShowAttestation(null);
+    // Printed after the next render, so the label carries the attestation just given
+    if (showAttestation === 'label') setLabelRequested(true);
   };
 
-  const generateInventoryText = () => {
+  const openQR = () => {
+    setShowAttestation(null);
+    setQrPartIndex(0);
+    setViewedParts([0]);
+    setQrCodeDataUrl(null);
+    setShowQR(true);
+  };
+
+  const goToPart = (index) => {
+    setQrPartIndex(index);
+    setViewedParts(prev => prev.includes(index) ? prev : [...prev, index]);
+    setQrCodeDataUrl(null);
+  };
+
+  // Freeze the export as printed so labels, receipt and QR all carry the same timestamp and text
+  const printDocument = async (mode) => {
     const timestamp = new Date().toLocaleString();
-    let text = `PATIENT BELONGINGS INVENTORY\nGenerated: ${timestamp}\n${'─'.repeat(30)}\n\n`;
-    items.forEach((item, i) => {
-      const cat = CATEGORIES.find(c => c.value === item.category) || CATEGORIES[6];
-      text += `${i + 1}. ${item.title}\n   Category: ${cat.label}\n   ${item.description}\n\n`;
-    });
-    text += `${'─'.repeat(30)}\nTotal Items: ${items.length}`;
-    return text;
+    const parts = generateInventoryParts(timestamp);
+    try {
+      const qrImages = mode === 'label'
+        ? await Promise.all(parts.map(part => QRCode.toDataURL(part.text, { errorCorrectionLevel: 'M', width: 600, margin: 2 })))
+        : [];
+      setPrintJob({
+        mode, timestamp, parts, qrImages,
+        items: groupByDisposition(exportScrub.items),
+        headerLines: exportHeaderLines,
+        attestation: attestationCurrent ? attestation : null
+      });
+    } catch (err) {
+      console.error('Print preparation error:', err);
+      setError('Failed to prepare print view');
+    }
   };
 
-  const inventoryText = generateInventoryText();
-  const currentBytes = getByteSize(inventoryText);
-  const canGenerateQR = items.length > 0 && currentBytes <= 2000;
+  useEffect(() => {
+    if (!labelRequested) return;
+    setLabelRequested(false);
+    printDocument('label');
+  }, [labelRequested]);
+
+  // Open the browser print dialog once the print view has rendered, and drop it afterwards
+  useEffect(() => {
+    if (!printJob) return;
+    const clearPrintJob = () => setPrintJob(null);
+    window.addEventListener('afterprint', clearPrintJob);
+    const timer = setTimeout(() => window.print(), 100);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('afterprint', clearPrintJob);
+    };
+  }, [printJob]);
 
   // Generate QR code when modal opens - using proper qrcode library with Error Correction Level M
   useEffect(() => {
@@ -605,7 +4070,7 @@ Remember: Return ONLY the JSON object, nothing else.`
   if (showOnboarding) return <OnboardingModal onAccept={() => setShowOnboarding(false)} />;
 
   return (
-    <div style={{
+    <div className="app-root" style={{
       minHeight: '100vh', display: 'flex', flexDirection: 'column',
       maxWidth: '480px', margin: '0 auto', background: theme.light.bg,
       fontFamily: 'DM Sans, -apple-system, sans-serif'
@@ -649,198 +4114,662 @@ Remember: Return ONLY the JSON object, nothing else.`
 
       {/* Main Content */}
       <main style={{ flex: 1, padding: '20px', display: 'flex', flexDirection: 'column', gap: '24px' }}>
-        {/* Recording Section */}
-        <section style={{
-          background: theme.light.surface, borderRadius: '16px', padding: '20px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
-          border: `1px solid ${theme.light.borderAccent}`,
-          transition: 'box-shadow 0.2s, border-color 0.2s'
+        <div role="tablist" style={{
+          display: 'flex', gap: '4px', padding: '4px', borderRadius: '12px',
+          background: theme.light.surface, border: `1px solid ${theme.light.borderAccent}`
         }}>
-          <h2 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '8px', color: theme.light.text }}>
-            Record Items
-          </h2>
-          <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '16px' }}>
-            Describe patient belongings aloud or type below
-          </p>
-          
-          <div style={{
-            background: '#f8fafc', border: '2px dashed #e2e8f0', borderRadius: '12px',
-            padding: '16px', minHeight: '80px', marginBottom: '12px', fontSize: '0.9375rem'
-          }}>
-            {transcription && <span style={{ color: '#1e293b' }}>{transcription}</span>}
-            {interimTranscript && <span style={{ color: '#64748b', fontStyle: 'italic' }}>{interimTranscript}</span>}
-            {!transcription && !interimTranscript && (
-              <span style={{ color: '#64748b' }}>
-                {isRecording ? 'Listening...' : 'Tap the microphone to start recording'}
-              </span>
-            )}
-          </div>
+          {[
+            { value: 'admission', label: '📥 Admission' },
+            { value: 'discharge', label: '📤 Discharge' }
+          ].map(option => (
+            <button key={option.value} role="tab" aria-selected={workflow === option.value}
+              onClick={() => setWorkflow(option.value)}
+              style={{
+                flex: 1, minHeight: '44px', fontSize: '0.9375rem', fontWeight: '600',
+                fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '8px', cursor: 'pointer',
+                background: workflow === option.value ? theme.light.accent : 'transparent',
+                color: workflow === option.value ? 'white' : theme.light.textMuted,
+                transition: 'all 0.2s'
+              }}>{option.label}</button>
+          ))}
+        </div>
 
-          {!speechSupported && (
-            <div style={{
-              background: '#fef3c7', border: '1px solid #f59e0b', borderRadius: '12px',
-              padding: '12px', marginBottom: '12px', fontSize: '0.875rem'
+        {workflow === 'discharge' ? (
+          <ReconciliationPanel
+            reconciliation={reconciliation}
+            onChange={setReconciliation}
+            profile={selectedProfile}
+            stripPHI={stripPHIFromExport}
+            onStripPHIChange={setStripPHIFromExport}
+            onDescribePhoto={describeItemPhoto}
+          />
+        ) : (
+          <>
+            {/* Recording Section */}
+            <section style={{
+              background: theme.light.surface, borderRadius: '16px', padding: '20px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
+              border: `1px solid ${theme.light.borderAccent}`,
+              transition: 'box-shadow 0.2s, border-color 0.2s'
             }}>
-              Voice input not supported in this browser. Please type below:
-            </div>
-          )}
+              <h2 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '8px', color: theme.light.text }}>
+                Record Items
+              </h2>
+              <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '16px' }}>
+                Describe patient belongings aloud or type below
+              </p>
+
+              <label style={{
+                display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px',
+                fontSize: '0.875rem', color: theme.light.textMuted
+              }}>
+                <span>🌐 Spoken language</span>
+                <select
+                  value={selectedLanguage.value}
+                  onChange={(e) => setSpeechLanguage(e.target.value)}
+                  disabled={isRecording}
+                  style={{
+                    flex: 1, minHeight: '40px', padding: '8px 12px', border: `1px solid ${theme.light.border}`,
+                    borderRadius: '8px', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem',
+                    background: theme.light.surface, color: theme.light.text
+                  }}
+                >
+                  {SPEECH_LANGUAGES.map(language => (
+                    <option key={language.value} value={language.value}>{language.label}</option>
+                  ))}
+                </select>
+              </label>
+              {extractionMode === 'ai' && !languageScrubbable && (
+                <div style={{ fontSize: '0.8125rem', color: '#b45309', margin: '-4px 0 12px' }}>
+                  🛡️ Names can't be redacted from {selectedLanguage.name} dictation, so it is processed with offline rules on this device.
+                </div>
+              )}
+
+              <label style={{
+                display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px',
+                fontSize: '0.875rem', color: theme.light.text, cursor: isRecording ? 'not-allowed' : 'pointer'
+              }}>
+                <input
+                  type="checkbox" checked={liveMode} disabled={isRecording}
+                  onChange={(e) => {
+                    liveContextRef.current = [];
+                    liveRedactionsRef.current = [];
+                    setLiveMode(e.target.checked);
+                  }}
+                  style={{ width: '20px', height: '20px', accentColor: theme.light.accent }}
+                />
+                <span style={{ flex: 1 }}>⚡ Live processing - add items phrase by phrase while recording</span>
+              </label>
           
-          <textarea
-            value={manualInput}
-            onChange={(e) => setManualInput(e.target.value)}
-            placeholder="Or type items here: 'black leather wallet with credit cards, iPhone 13 with cracked screen...'"
-            rows={3}
-            style={{
-              width: '100%', padding: '12px', border: '1px solid #e2e8f0', borderRadius: '12px',
-              fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem', resize: 'none', marginBottom: '16px'
-            }}
-          />
+              <div style={{
+                position: 'relative', background: '#f8fafc', border: '2px dashed #e2e8f0', borderRadius: '12px',
+                padding: '16px', minHeight: '80px', marginBottom: '12px', fontSize: '0.9375rem', whiteSpace: 'pre-wrap'
+              }}>
+                {commandFlash && (
+                  <span key={commandFlash.id} role="status" style={{
+                    position: 'absolute', top: '8px', right: '8px', padding: '4px 10px', borderRadius: '9999px',
+                    fontSize: '0.75rem', fontWeight: '600', color: 'white', background: theme.light.accent,
+                    whiteSpace: 'nowrap', animation: 'commandFlash 0.2s ease-out'
+                  }}>🗣️ {commandFlash.label}</span>
+                )}
+                {transcription && <span style={{ color: '#1e293b' }}>{transcription}</span>}
+                {liveQueue.map(phrase => (
+                  <div key={phrase.id} style={{ color: phrase.id === liveActiveId ? '#1e293b' : '#64748b' }}>
+                    {phrase.id === liveActiveId ? '⚙️' : '⏳'} {phrase.text}
+                  </div>
+                ))}
+                {interimTranscript && <span style={{ color: '#64748b', fontStyle: 'italic' }}>{interimTranscript}</span>}
+                {!transcription && !interimTranscript && liveQueue.length === 0 && (
+                  <span style={{ color: '#64748b' }}>
+                    {isRecording
+                      ? (liveMode ? 'Listening... items are added as you speak' : 'Listening...')
+                      : 'Tap the microphone to start recording'}
+                  </span>
+                )}
+              </div>
 
-          {speechSupported && (
-            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', margin: '8px 0 20px' }}>
-              <RecordButton isRecording={isRecording} onClick={toggleRecording} disabled={isProcessing} />
-              <span style={{ fontSize: '0.875rem', color: '#64748b', marginTop: '12px' }}>
-                {isRecording ? 'Tap to stop' : 'Tap to record'}
-              </span>
-            </div>
-          )}
+              {liveQueue.length > 0 && (
+                <div role="status" style={{
+                  display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px',
+                  fontSize: '0.8125rem', color: theme.light.textMuted
+                }}>
+                  <div style={{
+                    width: '14px', height: '14px', border: `2px solid ${theme.light.border}`,
+                    borderTopColor: theme.light.accent, borderRadius: '50%', animation: 'spin 0.8s linear infinite'
+                  }} />
+                  {liveQueue.length === 1 ? '1 phrase' : `${liveQueue.length} phrases`} awaiting extraction
+                </div>
+              )}
 
-          <button 
-            onClick={processTranscription}
-            disabled={isProcessing || (!transcription.trim() && !manualInput.trim())}
-            style={{
-              width: '100%', padding: '14px 24px', fontSize: '1rem', fontWeight: '600',
-              fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
-              background: (isProcessing || (!transcription.trim() && !manualInput.trim())) 
-                ? theme.light.border : `linear-gradient(135deg, ${theme.light.accent} 0%, ${theme.light.accentHover} 100%)`,
-              color: (isProcessing || (!transcription.trim() && !manualInput.trim())) ? theme.light.textMuted : 'white',
-              cursor: (isProcessing || (!transcription.trim() && !manualInput.trim())) ? 'not-allowed' : 'pointer',
-              display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px',
-              boxShadow: (isProcessing || (!transcription.trim() && !manualInput.trim())) 
-                ? 'none' : '0 4px 14px rgba(13, 148, 136, 0.25)',
-              transition: 'all 0.2s'
-            }}
-          >
-            {isProcessing ? (
-              <>
+              {!speechSupported && (
                 <div style={{
-                  width: '18px', height: '18px', border: '2px solid rgba(255,255,255,0.3)',
-                  borderTopColor: 'white', borderRadius: '50%',
-                  animation: 'spin 0.8s linear infinite'
-                }} />
-                Processing...
-              </>
-            ) : (
-              <>
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '20px', height: '20px' }}>
-                  <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
-                </svg>
-                Process with AI
-              </>
-            )}
-          </button>
+                  background: '#fef3c7', border: '1px solid #f59e0b', borderRadius: '12px',
+                  padding: '12px', marginBottom: '12px', fontSize: '0.875rem'
+                }}>
+                  Voice input not supported in this browser. Please type below:
+                </div>
+              )}
+          
+              <textarea
+                value={manualInput}
+                onChange={(e) => setManualInput(e.target.value)}
+                dir="auto"
+                placeholder="Or type items here, in any language or a mix: 'black leather wallet with credit cards, iPhone 13 with cracked screen...'"
+                rows={3}
+                style={{
+                  width: '100%', padding: '12px', border: '1px solid #e2e8f0', borderRadius: '12px',
+                  fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem', resize: 'none', marginBottom: '16px'
+                }}
+              />
 
-          {error && (
-            <div style={{
-              display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
-              borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
-              background: '#fef2f2', color: '#b91c1c', border: '1px solid #fecaca'
+              {extractionMode === 'ai' && inputRedactions.length > 0 && (
+                <div style={{
+                  padding: '12px', borderRadius: '12px', fontSize: '0.875rem', marginBottom: '16px',
+                  background: 'rgba(13, 148, 136, 0.08)', color: '#0f766e', border: '1px solid rgba(13, 148, 136, 0.25)'
+                }}>
+                  <div style={{ fontWeight: '600', marginBottom: '4px' }}>🛡️ Will be redacted before sending to AI:</div>
+                  <RedactionList redactions={inputRedactions} />
+                </div>
+              )}
+
+              {speechSupported && (
+                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', margin: '8px 0 20px' }}>
+                  <RecordButton isRecording={isRecording} onClick={toggleRecording} disabled={isProcessing} />
+                  {isRecording ? (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.875rem', color: '#64748b', marginTop: '12px' }}>
+                      <span aria-hidden="true" style={{ color: '#ef4444', animation: 'pulse 1.2s infinite' }}>●</span>
+                      <span aria-label="Recording time" style={{ fontWeight: '600', color: '#1e293b', fontVariantNumeric: 'tabular-nums' }}>
+                        {formatElapsed(clock - recordingStartedAt)}
+                      </span>
+                      {micLevel !== null && <LevelMeter level={micLevel} />}
+                      <span>Tap to stop</span>
+                    </div>
+                  ) : (
+                    <span style={{ fontSize: '0.875rem', color: '#64748b', marginTop: '12px' }}>Tap to record</span>
+                  )}
+                  {isRecording && micLevel !== null && clock - lastSoundAtRef.current >= SILENCE_WARNING_SECONDS * 1000 && (
+                    <div role="alert" style={{
+                      marginTop: '10px', padding: '6px 12px', fontSize: '0.8125rem', fontWeight: '500',
+                      color: '#92400e', background: '#fffbeb', border: '1px solid #fde68a', borderRadius: '9999px'
+                    }}>
+                      🔇 No audio detected for {Math.floor((clock - lastSoundAtRef.current) / 1000)} seconds - check the microphone isn't muted or covered
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+                    <button onClick={() => setShowVoiceHelp(true)} style={{
+                      padding: '6px 12px', fontSize: '0.8125rem', fontWeight: '500',
+                      fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '8px',
+                      background: 'transparent', color: theme.light.accentHover, cursor: 'pointer'
+                    }}>🗣️ Voice commands</button>
+                    {!isRecording && (
+                      <button onClick={testMicrophone} disabled={micTest?.status === 'listening'} style={{
+                        padding: '6px 12px', fontSize: '0.8125rem', fontWeight: '500',
+                        fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '8px',
+                        background: 'transparent', color: theme.light.accentHover, cursor: 'pointer'
+                      }}>🎙️ Test microphone</button>
+                    )}
+                  </div>
+                  {micTest && !isRecording && <MicTestPanel test={micTest} level={micLevel} onClose={closeMicTest} />}
+                </div>
+              )}
+
+              <div style={{
+                display: 'flex', gap: '4px', padding: '4px', marginBottom: '12px',
+                background: '#f0f4f7', borderRadius: '10px'
+              }}>
+                {[
+                  { value: 'ai', label: '🤖 AI' },
+                  { value: 'local', label: '📴 Offline rules' }
+                ].map(mode => (
+                  <button key={mode.value} onClick={() => setExtractionMode(mode.value)}
+                    aria-pressed={extractionMode === mode.value}
+                    style={{
+                      flex: 1, minHeight: '40px', fontSize: '0.875rem', fontWeight: '500',
+                      fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '8px', cursor: 'pointer',
+                      background: extractionMode === mode.value ? theme.light.surface : 'transparent',
+                      color: extractionMode === mode.value ? theme.light.accentHover : theme.light.textMuted,
+                      boxShadow: extractionMode === mode.value ? '0 1px 3px rgba(0,0,0,0.08)' : 'none'
+                    }}>{mode.label}</button>
+                ))}
+              </div>
+
+              <button 
+                onClick={processTranscription}
+                disabled={isProcessing || (!transcription.trim() && !manualInput.trim())}
+                style={{
+                  width: '100%', padding: '14px 24px', fontSize: '1rem', fontWeight: '600',
+                  fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
+                  background: (isProcessing || (!transcription.trim() && !manualInput.trim())) 
+                    ? theme.light.border : `linear-gradient(135deg, ${theme.light.accent} 0%, ${theme.light.accentHover} 100%)`,
+                  color: (isProcessing || (!transcription.trim() && !manualInput.trim())) ? theme.light.textMuted : 'white',
+                  cursor: (isProcessing || (!transcription.trim() && !manualInput.trim())) ? 'not-allowed' : 'pointer',
+                  display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px',
+                  boxShadow: (isProcessing || (!transcription.trim() && !manualInput.trim())) 
+                    ? 'none' : '0 4px 14px rgba(13, 148, 136, 0.25)',
+                  transition: 'all 0.2s'
+                }}
+              >
+                {isProcessing ? (
+                  <>
+                    <div style={{
+                      width: '18px', height: '18px', border: '2px solid rgba(255,255,255,0.3)',
+                      borderTopColor: 'white', borderRadius: '50%',
+                      animation: 'spin 0.8s linear infinite'
+                    }} />
+                    {streamedItems.length > 0 ? `Processing... ${streamedItems.length} received` : 'Processing...'}
+                  </>
+                ) : (
+                  <>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ width: '20px', height: '20px' }}>
+                      <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
+                    </svg>
+                    {extractionMode === 'ai' ? 'Process with AI' : 'Process Offline'}
+                  </>
+                )}
+              </button>
+
+              {isProcessing && processAbortRef.current && (
+                <button onClick={() => processAbortRef.current?.abort()} style={{
+                  width: '100%', marginTop: '8px', padding: '12px 24px', fontSize: '0.9375rem', fontWeight: '500',
+                  fontFamily: 'DM Sans, sans-serif', borderRadius: '12px', cursor: 'pointer',
+                  border: `1px solid ${theme.light.border}`, background: theme.light.surface, color: theme.light.text
+                }}>
+                  {streamedItems.length > 0 ? `Stop - keep ${streamedItems.length} item${streamedItems.length === 1 ? '' : 's'}` : 'Cancel'}
+                </button>
+              )}
+
+              {error && (
+                <div style={{
+                  display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
+                  borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+                  background: '#fef2f2', color: '#b91c1c', border: '1px solid #fecaca'
+                }}>
+                  <span>⚠️</span> {error}
+                </div>
+              )}
+
+              {extractionReport && (
+                <ExtractionReport
+                  report={extractionReport}
+                  onEditUnstructured={() => {
+                    setManualInput(extractionReport.unstructured.join('. '));
+                    setExtractionReport(null);
+                  }}
+                  onDismiss={() => setExtractionReport(null)}
+                />
+              )}
+            </section>
+
+            {/* Encounter Header Section */}
+            <section style={{
+              background: theme.light.surface, borderRadius: '16px', padding: '20px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
+              border: `1px solid ${theme.light.borderAccent}`,
+              transition: 'box-shadow 0.2s'
             }}>
-              <span>⚠️</span> {error}
-            </div>
-          )}
-        </section>
-
-        {/* Inventory List Section */}
-        <section style={{
-          background: theme.light.surface, borderRadius: '16px', padding: '20px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
-          border: `1px solid ${theme.light.borderAccent}`,
-          transition: 'box-shadow 0.2s'
-        }}>
-          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-            <h2 style={{ fontSize: '1.125rem', fontWeight: '600', color: theme.light.text }}>
-              Inventory ({items.length} items)
-            </h2>
-            <button onClick={() => setItems(prev => [...prev, { title: 'New Item', category: 'other', description: 'Enter description' }])}
-              style={{
-                padding: '8px 16px', fontSize: '0.875rem', 
-                border: `1px solid ${theme.light.borderAccent}`,
-                borderRadius: '8px', background: theme.light.surface, 
-                cursor: 'pointer', fontFamily: 'DM Sans, sans-serif',
-                color: theme.light.accent, fontWeight: '500',
-                transition: 'all 0.2s'
-              }}>+ Add Item</button>
-          </div>
+              <h2 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '4px', color: theme.light.text }}>
+                Bag & Location
+              </h2>
+              <p style={{ fontSize: '0.875rem', color: theme.light.textMuted, marginBottom: '16px' }}>
+                Optional references for the export header. No patient names.
+              </p>
+              <EncounterForm encounter={encounter} errors={encounterErrors} onChange={setEncounter} />
+            </section>
 
-          {items.length === 0 ? (
-            <div style={{ textAlign: 'center', padding: '32px 16px', color: theme.light.textMuted }}>
-              <div style={{ fontSize: '3rem', marginBottom: '12px', opacity: 0.5 }}>📋</div>
-              <p style={{ fontWeight: '500', color: theme.light.text, marginBottom: '4px' }}>No items yet</p>
-              <span style={{ fontSize: '0.875rem' }}>Record or type belongings above, then process with AI</span>
-            </div>
-          ) : (
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-              {items.map((item, index) => (
-                <InventoryItem
-                  key={index} item={item} index={index}
-                  onUpdate={(i, data) => setItems(prev => prev.map((item, idx) => idx === i ? data : item))}
-                  onDelete={(i) => setItems(prev => prev.filter((_, idx) => idx !== i))}
+            {/* Inventory List Section */}
+            <section style={{
+              background: theme.light.surface, borderRadius: '16px', padding: '20px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
+              border: `1px solid ${theme.light.borderAccent}`,
+              transition: 'box-shadow 0.2s'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h2 style={{ fontSize: '1.125rem', fontWeight: '600', color: theme.light.text }}>
+                  Inventory ({items.length} items)
+                </h2>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button onClick={() => setShowScanner(true)}
+                    style={{
+                      padding: '8px 12px', fontSize: '0.875rem', 
+                      border: `1px solid ${theme.light.borderAccent}`,
+                      borderRadius: '8px', background: theme.light.surface, 
+                      cursor: 'pointer', fontFamily: 'DM Sans, sans-serif',
+                      color: theme.light.accent, fontWeight: '500',
+                      transition: 'all 0.2s'
+                    }}>📷 Load</button>
+                  <button onClick={() => updateItems('Add item', prev => [...prev, { title: 'New Item', category: FALLBACK_CATEGORY.value, description: 'Enter description', quantity: 1 }])}
+                    style={{
+                      padding: '8px 16px', fontSize: '0.875rem', 
+                      border: `1px solid ${theme.light.borderAccent}`,
+                      borderRadius: '8px', background: theme.light.surface, 
+                      cursor: 'pointer', fontFamily: 'DM Sans, sans-serif',
+                      color: theme.light.accent, fontWeight: '500',
+                      transition: 'all 0.2s'
+                    }}>+ Add Item</button>
+                </div>
+              </div>
+
+              {(undoLabel || redoLabel || items.length > 0) && (
+                <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                  {[
+                    { key: 'undo', label: '↶ Undo', title: undoLabel && `Undo: ${undoLabel}`, onClick: undo, disabled: !undoLabel },
+                    { key: 'redo', label: '↷ Redo', title: redoLabel && `Redo: ${redoLabel}`, onClick: redo, disabled: !redoLabel },
+                    selectedIds
+                      ? { key: 'merge', label: `Merge ${selectedItems.length}`, title: 'Merge the selected items into one', onClick: mergeSelected, disabled: selectedItems.length < 2 }
+                      : { key: 'select', label: 'Merge…', title: 'Select items to merge', onClick: () => setSelectedIds([]), disabled: items.length < 2 },
+                    selectedIds
+                      ? { key: 'cancel', label: 'Cancel', title: 'Stop selecting', onClick: () => setSelectedIds(null), disabled: false }
+                      : { key: 'clear', label: 'Clear all', title: 'Remove every item (can be undone)', onClick: clearItems, disabled: items.length === 0 }
+                  ].map(action => (
+                    <button key={action.key} onClick={action.onClick} disabled={action.disabled} title={action.title}
+                      aria-label={action.title || action.label}
+                      style={{
+                        flex: 1, minHeight: '44px', padding: '8px 12px', fontSize: '0.875rem', fontWeight: '500',
+                        fontFamily: 'DM Sans, sans-serif', borderRadius: '8px',
+                        border: `1px solid ${theme.light.border}`, background: theme.light.surface,
+                        color: action.disabled ? theme.light.textMuted : action.key === 'clear' ? '#ef4444' : theme.light.text,
+                        cursor: action.disabled ? 'not-allowed' : 'pointer', opacity: action.disabled ? 0.6 : 1
+                      }}>{action.label}</button>
+                  ))}
+                </div>
+              )}
+
+              {items.length === 0 && streamedItems.length === 0 ? (
+                <div style={{ textAlign: 'center', padding: '32px 16px', color: theme.light.textMuted }}>
+                  <div style={{ fontSize: '3rem', marginBottom: '12px', opacity: 0.5 }}>📋</div>
+                  <p style={{ fontWeight: '500', color: theme.light.text, marginBottom: '4px' }}>No items yet</p>
+                  <span style={{ fontSize: '0.875rem' }}>Record or type belongings above, then process with AI</span>
+                </div>
+              ) : (
+                <SortableList
+                  items={items}
+                  onMove={(from, to) => updateItems(`Move "${items[from].title}"`, prev => moveItem(prev, from, to))}
+                  renderItem={(item, index) => (
+                    <div style={{ display: 'flex', gap: '6px', alignItems: 'stretch' }}>
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <InventoryItem
+                          item={item} index={index}
+                          duplicateOf={describeDuplicateOf(item)}
+                          onDismissDuplicate={() => dismissDuplicate(item.id)}
+                          onUpdate={(i, data) => updateItems(`Edit "${data.title}"`, prev => prev.map((item, idx) => idx === i ? data : item))}
+                          onDelete={deleteItem}
+                          onDescribePhoto={describeItemPhoto}
+                          onSplit={() => setSplittingId(item.id)}
+                        />
+                      </div>
+                      {selectedIds && (
+                        <label style={{
+                          width: '40px', flexShrink: 0, display: 'flex', alignItems: 'center', justifyContent: 'center',
+                          borderRadius: '8px', cursor: 'pointer',
+                          background: selectedIds.includes(item.id) ? 'rgba(13, 148, 136, 0.1)' : '#f0f4f7'
+                        }}>
+                          <input
+                            type="checkbox" checked={selectedIds.includes(item.id)}
+                            onChange={() => toggleSelected(item.id)}
+                            aria-label={`Select ${item.title} to merge`}
+                            style={{ width: '20px', height: '20px', accentColor: theme.light.accent }}
+                          />
+                        </label>
+                      )}
+                    </div>
+                  )}
                 />
-              ))}
-            </div>
-          )}
-        </section>
-
-        {/* QR Export Section */}
-        {items.length > 0 && (
-          <section style={{
-            background: theme.light.surface, borderRadius: '16px', padding: '20px',
-            boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
-            border: `1px solid ${theme.light.borderAccent}`,
-            transition: 'box-shadow 0.2s'
-          }}>
-            <h2 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '16px', color: theme.light.text }}>
-              Export to EHR
-            </h2>
+              )}
+              {streamedItems.length > 0 && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginTop: items.length > 0 ? '12px' : 0 }}>
+                  {streamedItems.map(item => <PendingItem key={item.id} item={item} />)}
+                </div>
+              )}
+            </section>
+
+            {/* QR Export Section */}
+            {items.length > 0 && (
+              <section style={{
+                background: theme.light.surface, borderRadius: '16px', padding: '20px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.04)', 
+                border: `1px solid ${theme.light.borderAccent}`,
+                transition: 'box-shadow 0.2s'
+              }}>
+                <h2 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '16px', color: theme.light.text }}>
+                  Export to EHR
+                </h2>
+
+                <div style={{ marginBottom: '16px' }}>
+                  <div style={{
+                    fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.05em',
+                    color: theme.light.textMuted, marginBottom: '8px', fontWeight: '600'
+                  }}>Scanner output format</div>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                    {OUTPUT_PROFILES.map(profile => (
+                      <button key={profile.value} onClick={() => setOutputProfile(profile.value)}
+                        aria-pressed={profile.value === selectedProfile.value}
+                        style={{
+                          minHeight: '48px', padding: '8px 12px', fontSize: '0.875rem', fontWeight: '500',
+                          fontFamily: 'DM Sans, sans-serif', borderRadius: '10px', cursor: 'pointer',
+                          border: `1px solid ${profile.value === selectedProfile.value ? theme.light.accent : theme.light.border}`,
+                          background: profile.value === selectedProfile.value ? 'rgba(13, 148, 136, 0.1)' : theme.light.surface,
+                          color: profile.value === selectedProfile.value ? theme.light.accentHover : theme.light.text,
+                          transition: 'all 0.2s'
+                        }}>{profile.label}</button>
+                    ))}
+                  </div>
+                  <p style={{ fontSize: '0.75rem', color: theme.light.textMuted, marginTop: '8px' }}>
+                    {selectedProfile.description}
+                  </p>
+                </div>
+
+                {usedDispositions.length > 0 && (
+                  <div style={{ marginBottom: '16px' }}>
+                    <div style={{
+                      fontSize: '0.75rem', textTransform: 'uppercase', letterSpacing: '0.05em',
+                      color: theme.light.textMuted, marginBottom: '8px', fontWeight: '600'
+                    }}>Items to export</div>
+                    <select
+                      value={exportFilter ? exportFilter.value : 'all'}
+                      onChange={(e) => setExportDisposition(e.target.value)}
+                      style={{
+                        width: '100%', minHeight: '48px', padding: '10px 12px', fontSize: '0.9375rem',
+                        border: `1px solid ${theme.light.border}`, borderRadius: '10px',
+                        fontFamily: 'DM Sans, sans-serif', background: theme.light.surface
+                      }}
+                    >
+                      <option value="all">All items ({items.length})</option>
+                      {usedDispositions.map(d => (
+                        <option key={d.value} value={d.value}>
+                          {d.icon} {d.label} only ({items.filter(item => item.disposition === d.value).length})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
             
-            <SizeIndicator currentBytes={currentBytes} maxBytes={2000} />
+                <label style={{
+                  display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '16px',
+                  fontSize: '0.875rem', color: theme.light.text, cursor: 'pointer'
+                }}>
+                  <input
+                    type="checkbox" checked={stripPHIFromExport}
+                    onChange={(e) => setStripPHIFromExport(e.target.checked)}
+                    style={{ width: '20px', height: '20px', accentColor: theme.light.accent }}
+                  />
+                  <span style={{ flex: 1 }}>Strip names, ID numbers and other PHI from export</span>
+                  {stripPHIFromExport && exportScrub.redactions.length > 0 && (
+                    <span style={{ fontSize: '0.75rem', color: theme.light.accent, fontWeight: '600' }}>
+                      🛡️ {exportScrub.redactions.length} stripped
+                    </span>
+                  )}
+                </label>
+
+                <div style={{
+                  display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px',
+                  padding: '10px 12px', borderRadius: '12px', marginBottom: '16px', fontSize: '0.875rem',
+                  background: attestationCurrent ? 'rgba(13, 148, 136, 0.08)' : '#f8fafc',
+                  border: `1px solid ${attestationCurrent ? 'rgba(13, 148, 136, 0.25)' : theme.light.border}`
+                }}>
+                  <span style={{ color: attestationCurrent ? '#0f766e' : theme.light.textMuted }}>
+                    {attestationCurrent
+                      ? `✓ ${formatAttestationLine(attestation).replace('Attestation: ', 'Attested: ')}`
+                      : attestation
+                        ? '⚠️ List changed since attestation'
+                        : `Attestation ${siteConfig.requireAttestation ? 'required' : 'not completed'}`}
+                  </span>
+                  <button onClick={() => setShowAttestation('edit')} style={{
+                    padding: '6px 12px', fontSize: '0.8125rem', border: `1px solid ${theme.light.borderAccent}`,
+                    borderRadius: '8px', background: theme.light.surface, color: theme.light.accent,
+                    cursor: 'pointer', fontFamily: 'DM Sans, sans-serif', fontWeight: '500', flexShrink: 0
+                  }}>{attestation ? 'Redo' : 'Complete'}</button>
+                </div>
+
+                <SizeIndicator currentBytes={currentBytes} maxBytes={MAX_QR_BYTES} partCount={inventoryParts.length} />
             
-            {!canGenerateQR && currentBytes > 2000 && (
-              <div style={{
-                display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
-                borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
-                background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
-              }}>
-                <span>⚠️</span> Inventory too large for QR code. Remove items or shorten descriptions.
-              </div>
-            )}
+                {!canGenerateQR && currentBytes > MAX_QR_BYTES && (
+                  <div style={{
+                    display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
+                    borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+                    background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
+                  }}>
+                    <span>⚠️</span> A single item is too large for one QR code. Shorten its description.
+                  </div>
+                )}
 
-            <button 
-              onClick={() => setShowQR(true)}
-              disabled={!canGenerateQR}
-              style={{
-                width: '100%', padding: '16px 32px', fontSize: '1.0625rem', fontWeight: '600',
-                fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
-                background: canGenerateQR 
-                  ? `linear-gradient(135deg, ${theme.light.accent} 0%, ${theme.light.accentHover} 100%)` 
-                  : theme.light.border,
-                color: canGenerateQR ? 'white' : theme.light.textMuted,
-                cursor: canGenerateQR ? 'pointer' : 'not-allowed',
-                display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', marginTop: '16px',
-                boxShadow: canGenerateQR ? '0 4px 14px rgba(13, 148, 136, 0.25)' : 'none',
-                transition: 'all 0.2s'
-              }}
-            >
-              <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
-                <path d="M3 3h8v8H3V3zm2 2v4h4V5H5zm8-2h8v8h-8V3zm2 2v4h4V5h-4zM3 13h8v8H3v-8zm2 2v4h4v-4H5zm13-2h3v2h-3v-2zm-3 0h2v3h-2v-3zm3 3h3v3h-2v-1h-1v-2zm-3 3h2v3h-2v-3zm5 0h1v3h-3v-1h2v-2z"/>
-              </svg>
-              Generate QR Code
-            </button>
-          </section>
+                {Object.keys(encounterErrors).length > 0 && (
+                  <div style={{
+                    display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
+                    borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+                    background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a'
+                  }}>
+                    <span>⚠️</span> Fix the Bag & Location fields before exporting.
+                  </div>
+                )}
+
+                {canGenerateQR && inventoryParts.length > 1 && (
+                  <div style={{
+                    display: 'flex', alignItems: 'flex-start', gap: '8px', padding: '12px',
+                    borderRadius: '12px', fontSize: '0.875rem', marginTop: '12px',
+                    background: 'rgba(13, 148, 136, 0.08)', color: '#0f766e', border: '1px solid rgba(13, 148, 136, 0.25)'
+                  }}>
+                    <span>🔢</span> Inventory will be split into {inventoryParts.length} QR codes. Scan every part.
+                  </div>
+                )}
+
+                <button 
+                  onClick={requestQR}
+                  disabled={!canGenerateQR}
+                  style={{
+                    width: '100%', padding: '16px 32px', fontSize: '1.0625rem', fontWeight: '600',
+                    fontFamily: 'DM Sans, sans-serif', border: 'none', borderRadius: '12px',
+                    background: canGenerateQR 
+                      ? `linear-gradient(135deg, ${theme.light.accent} 0%, ${theme.light.accentHover} 100%)` 
+                      : theme.light.border,
+                    color: canGenerateQR ? 'white' : theme.light.textMuted,
+                    cursor: canGenerateQR ? 'pointer' : 'not-allowed',
+                    display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', marginTop: '16px',
+                    boxShadow: canGenerateQR ? '0 4px 14px rgba(13, 148, 136, 0.25)' : 'none',
+                    transition: 'all 0.2s'
+                  }}
+                >
+                  <svg viewBox="0 0 24 24" fill="currentColor" style={{ width: '20px', height: '20px' }}>
+                    <path d="M3 3h8v8H3V3zm2 2v4h4V5H5zm8-2h8v8h-8V3zm2 2v4h4V5h-4zM3 13h8v8H3v-8zm2 2v4h4v-4H5zm13-2h3v2h-3v-2zm-3 0h2v3h-2v-3zm3 3h3v3h-2v-1h-1v-2zm-3 3h2v3h-2v-3zm5 0h1v3h-3v-1h2v-2z"/>
+                  </svg>
+                  {inventoryParts.length > 1 ? `Generate ${inventoryParts.length} QR Codes` : 'Generate QR Code'}
+                </button>
+
+                <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+                  {[
+                    { mode: 'label', label: '🏷️ Print bag label', onClick: requestLabel, disabled: !canGenerateQR },
+                    { mode: 'receipt', label: '🧾 Print receipt', onClick: () => printDocument('receipt'), disabled: Boolean(encounterErrors.witnessInitials) }
+                  ].map(option => (
+                    <button key={option.mode} onClick={option.onClick} disabled={option.disabled}
+                      style={{
+                        flex: 1, minHeight: '48px', padding: '10px 12px', fontSize: '0.875rem', fontWeight: '500',
+                        fontFamily: 'DM Sans, sans-serif', borderRadius: '12px',
+                        border: `1px solid ${theme.light.borderAccent}`, background: theme.light.surface,
+                        color: option.disabled ? theme.light.textMuted : theme.light.accent,
+                        cursor: option.disabled ? 'not-allowed' : 'pointer'
+                      }}>{option.label}</button>
+                  ))}
+                </div>
+              </section>
+            )}
+          </>
         )}
       </main>
 
+      {/* Undo toast after a delete or clear */}
+      {toast && (
+        <div role="status" style={{
+          position: 'fixed', left: '50%', bottom: '24px', transform: 'translateX(-50%)',
+          width: 'calc(100% - 40px)', maxWidth: '440px', zIndex: 900,
+          display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 16px',
+          borderRadius: '12px', background: '#0f172a', color: 'white',
+          boxShadow: '0 10px 25px rgba(0,0,0,0.25)', fontFamily: 'DM Sans, sans-serif', fontSize: '0.9375rem'
+        }}>
+          <span style={{ flex: 1 }}>{toast.message}</span>
+          {toast.undoable && (
+            <button onClick={undo} style={{
+              minHeight: '44px', padding: '8px 16px', border: 'none', borderRadius: '8px',
+              background: theme.dark.accent, color: '#0f172a', fontWeight: '700',
+              fontFamily: 'DM Sans, sans-serif', cursor: 'pointer'
+            }}>Undo</button>
+          )}
+        </div>
+      )}
+
+      {showVoiceHelp && <VoiceCommandsHelp onClose={() => setShowVoiceHelp(false)} />}
+
+      {/* Review suspected duplicates before a processed batch is added */}
+      {duplicateReview && (
+        <DuplicateReviewModal
+          batchSize={duplicateReview.items.length}
+          duplicates={duplicateReview.duplicates}
+          onResolve={resolveDuplicates}
+        />
+      )}
+
+      {/* Split one item into several */}
+      {splittingId && items.some(item => item.id === splittingId) && (
+        <SplitItemModal
+          item={items.find(item => item.id === splittingId)}
+          onSplit={(pieces) => splitItem(splittingId, pieces)}
+          onCancel={() => setSplittingId(null)}
+        />
+      )}
+
+      {/* Scan-back of a previously exported inventory */}
+      {showScanner && (
+        <QRScanModal
+          existingCount={items.length}
+          onLoad={(loaded, scannedEncounter, mode) => {
+            updateItems(mode === 'append' ? `Add ${loaded.length} scanned items` : 'Load from QR', prev => (mode === 'append' ? [...prev, ...loaded] : loaded));
+            if (mode === 'replace') setEncounter(prev => ({ ...prev, ...scannedEncounter }));
+            setShowScanner(false);
+          }}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+
+      {/* Attestation Step */}
+      {showAttestation && (
+        <AttestationModal
+          initial={{
+            ...(attestation || { patientStatus: '', unableReason: '', signature: null }),
+            witnessInitials: encounter.witnessInitials
+          }}
+          required={siteConfig.requireAttestation}
+          onConfirm={(confirmed) => {
+            setAttestation({ ...confirmed, itemsKey: getItemsKey(items) });
+            // The witness entered here becomes the Witness field, so the two can't disagree
+            setEncounter(prev => ({ ...prev, witnessInitials: confirmed.witnessInitials }));
+            continueAfterAttestation();
+          }}
+          onSkip={() => {
+            setAttestationSkipped(true);
+            continueAfterAttestation();
+          }}
+          onCancel={() => setShowAttestation(null)}
+        />
+      )}
+
       {/* QR Code Modal */}
       {showQR && (
         <div onClick={() => setShowQR(false)} style={{
@@ -868,13 +4797,60 @@ Remember: Return ONLY the JSON object, nothing else.`
               <p style={{ color: '#64748b', fontSize: '0.875rem', marginBottom: '20px', fontFamily: 'DM Sans, sans-serif' }}>
                 Position the QR code for your Cerner or Epic scanner
               </p>
+
+              {inventoryParts.length > 1 && (
+                <div style={{ marginBottom: '16px', fontFamily: 'DM Sans, sans-serif' }}>
+                  <div style={{
+                    padding: '10px 12px', borderRadius: '12px', fontSize: '0.875rem', fontWeight: '600',
+                    background: '#fffbeb', color: '#b45309', border: '1px solid #fde68a', marginBottom: '12px'
+                  }}>
+                    ⚠️ This inventory has {inventoryParts.length} parts. Scan all of them.
+                  </div>
+                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+                    <button
+                      onClick={() => goToPart(currentPartIndex - 1)}
+                      disabled={currentPartIndex === 0}
+                      style={{
+                        minWidth: '56px', height: '48px', fontSize: '1.25rem', border: '1px solid #e2e8f0',
+                        borderRadius: '12px', background: 'white',
+                        color: currentPartIndex === 0 ? '#cbd5e1' : '#0d9488',
+                        cursor: currentPartIndex === 0 ? 'not-allowed' : 'pointer'
+                      }}>‹</button>
+                    <div>
+                      <div style={{ fontWeight: '700', fontSize: '1.0625rem', color: '#1e293b' }}>
+                        Part {currentPartIndex + 1} of {inventoryParts.length}
+                      </div>
+                      <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '6px' }}>
+                        Items {inventoryParts[currentPartIndex].firstNumber}-{inventoryParts[currentPartIndex].lastNumber} of {items.length}
+                      </div>
+                      <div style={{ display: 'flex', gap: '6px', justifyContent: 'center' }}>
+                        {inventoryParts.map((_, i) => (
+                          <span key={i} style={{
+                            width: '8px', height: '8px', borderRadius: '50%',
+                            background: i === currentPartIndex ? '#0d9488' : viewedParts.includes(i) ? 'rgba(13, 148, 136, 0.4)' : '#e2e8f0'
+                          }} />
+                        ))}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => goToPart(currentPartIndex + 1)}
+                      disabled={currentPartIndex === inventoryParts.length - 1}
+                      style={{
+                        minWidth: '56px', height: '48px', fontSize: '1.25rem', border: '1px solid #e2e8f0',
+                        borderRadius: '12px', background: 'white',
+                        color: currentPartIndex === inventoryParts.length - 1 ? '#cbd5e1' : '#0d9488',
+                        cursor: currentPartIndex === inventoryParts.length - 1 ? 'not-allowed' : 'pointer'
+                      }}>›</button>
+                  </div>
+                </div>
+              )}
               
               <div style={{
                 background: 'white', padding: '16px', borderRadius: '12px',
                 display: 'inline-block', marginBottom: '20px', border: '1px solid #e2e8f0'
               }}>
                 {qrCodeDataUrl ? (
-                  <img src={qrCodeDataUrl} alt="Inventory QR Code"
+                  <img src={qrCodeDataUrl} alt={`Inventory QR Code part ${currentPartIndex + 1} of ${inventoryParts.length}`}
                     style={{ display: 'block', width: '280px', height: '280px' }}
                   />
                 ) : (
@@ -939,6 +4915,9 @@ Remember: Return ONLY the JSON object, nothing else.`
         </div>
       )}
 
+      {/* Bag labels / patient receipt - only shown by the print stylesheet */}
+      {printJob && <PrintView job={printJob} labelSize={siteConfig.labelPageSize} />}
+
       {/* Footer */}
       <footer style={{
         textAlign: 'center', padding: '16px 20px', fontSize: '0.75rem',
@@ -951,6 +4930,12 @@ Remember: Return ONLY the JSON object, nothing else.`
       
       <style>{`
         @keyframes spin { to { transform: rotate(360deg); } }
+        @keyframes commandFlash { from { opacity: 0; transform: scale(0.9); } to { opacity: 1; transform: none; } }
+        @media screen { .print-view { display: none; } }
+        @media print {
+          .app-root > :not(.print-view) { display: none !important; }
+          .app-root { max-width: none !important; min-height: 0 !important; background: white !important; }
+        }
         @keyframes pulse { 
           0%, 100% { opacity: 1; } 
           50% { opacity: 0.5; } 
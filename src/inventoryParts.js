@@ -0,0 +1,37 @@
+// Putting a multi-part export back together, for the QR scan-back and for pasted text.
+// A part is what parseInventoryText() returns: { items, part, totalParts, timestamp, encounter }.
+
+// Every part of one export carries the same part count, `Generated:` timestamp and bag number
+export const isSameExport = (a, b) => a.totalParts === b.totalParts
+  && (a.timestamp || '') === (b.timestamp || '')
+  && (a.encounter?.bagNumber || '') === (b.encounter?.bagNumber || '');
+
+// Add a scanned part to the collection ({ [part]: parsed }). A part from a different export
+// restarts the collection rather than being mixed into it.
+export const addScannedPart = (collected, parsed) => {
+  const first = Object.values(collected)[0];
+  const base = first && isSameExport(first, parsed) ? collected : {};
+  return { ...base, [parsed.part]: parsed };
+};
+
+// Combine parsed parts of one export into a single item list, ordered by item number
+export const mergeInventoryParts = (parts) => {
+  const byNumber = new Map();
+  parts.forEach(part => part.items.forEach(item => byNumber.set(item.number, item)));
+  return [...byNumber.values()]
+    .sort((a, b) => a.number - b.number)
+    .map(({ number, ...item }) => item);
+};
+
+// Check that the parts are one complete export, then merge them.
+// Throws when they come from different exports or a part is missing.
+export const combineInventoryParts = (parts) => {
+  if (parts.some(part => !isSameExport(part, parts[0]))) {
+    throw new Error('The text mixes parts from different exports');
+  }
+  const { totalParts } = parts[0];
+  for (let part = 1; part <= totalParts; part++) {
+    if (!parts.some(p => p.part === part)) throw new Error(`Part ${part} of ${totalParts} is missing`);
+  }
+  return mergeInventoryParts(parts);
+};
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSameExport, addScannedPart, combineInventoryParts } from './inventoryParts.js';
+
+// Parts as parseInventoryText() returns them
+const makePart = (part, { totalParts = 2, timestamp = '10/19/2026, 6:41:31 PM', bagNumber = 'B-1001', titles = [] } = {}) => ({
+  part, totalParts, timestamp,
+  encounter: bagNumber ? { bagNumber } : {},
+  items: titles.map(([number, title]) => ({ number, title }))
+});
+
+const bagA1 = makePart(1, { titles: [[1, 'Wallet'], [2, 'Phone']] });
+const bagA2 = makePart(2, { titles: [[3, 'Ring']] });
+const bagB2 = makePart(2, { timestamp: '10/19/2026, 7:02:10 PM', bagNumber: 'B-1002', titles: [[3, 'Jacket']] });
+
+test('parts of one export belong together', () => {
+  assert.equal(isSameExport(bagA1, bagA2), true);
+});
+
+test('a different timestamp or bag number is a different export', () => {
+  assert.equal(isSameExport(bagA1, bagB2), false);
+  assert.equal(isSameExport(bagA1, makePart(2, { timestamp: '10/19/2026, 7:02:10 PM' })), false);
+  assert.equal(isSameExport(bagA1, makePart(2, { bagNumber: 'B-1002' })), false);
+  assert.equal(isSameExport(bagA1, makePart(2, { bagNumber: '' })), false);
+});
+
+test('combines a complete export in item order', () => {
+  assert.deepEqual(combineInventoryParts([bagA2, bagA1]).map(item => item.title), ['Wallet', 'Phone', 'Ring']);
+});
+
+test('rejects parts of two exports with the same part count', () => {
+  assert.throws(() => combineInventoryParts([bagA1, bagB2]), /different exports/);
+});
+
+test('reports a missing part', () => {
+  assert.throws(() => combineInventoryParts([bagA1]), /Part 2 of 2 is missing/);
+});
+
+test('a scanned part from another export restarts the collection', () => {
+  let collected = addScannedPart({}, bagA1);
+  collected = addScannedPart(collected, bagB2);
+  assert.deepEqual(Object.values(collected), [bagB2]);
+  collected = addScannedPart(addScannedPart({}, bagA1), bagA2);
+  assert.deepEqual(Object.keys(collected), ['1', '2']);
+});
@@ -0,0 +1,153 @@
+// Offline extraction rules: turns a transcription into inventory items with belongings
+// vocabulary and list cues instead of an AI model. Kept free of the site configuration and of
+// React so the rules can be tested on their own (see offlineExtraction.test.js); the app binds
+// them to its configured categories with createOfflineExtractor().
+
+// Escape text for literal use inside a RegExp
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Appearance-based wording: never assert the material or value of an item
+const APPEARANCE_RULES = [
+  [/\bgold(en)?\b/gi, 'yellow-colored'],
+  [/\bsilver\b/gi, 'silver-colored'],
+  [/\bplatinum\b/gi, 'white metal'],
+  [/\bdiamonds\b/gi, 'clear stones'],
+  [/\bdiamond\b/gi, 'clear stone'],
+  [/\bpearls\b/gi, 'white beads'],
+  [/\bpearl\b/gi, 'white bead']
+];
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+// Words whose plural form is also the singular ("a pair of jeans")
+const PLURAL_ONLY = ['glasses', 'sunglasses', 'eyeglasses', 'pants', 'jeans', 'trousers', 'shorts', 'pajamas', 'leggings', 'scrubs', 'headphones', 'earbuds', 'airpods', 'dentures', 'crutches', 'keys', 'cigarettes', 'papers', 'documents', 'medications', 'pills', 'dollars', 'coins', 'bills', 'sweatpants'];
+
+const applyAppearanceRules = (text) => APPEARANCE_RULES.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+
+export const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Add a follow-up detail ("it has a cracked screen") to an item description
+export const appendDetail = (description, phrase) => (
+  `${description}, ${applyAppearanceRules(phrase.replace(/^(?:it|they|which|that)\s+(?:has|have|is|are)\s+(?:a|an|the)?\s*/i, ''))}`
+);
+
+// Phrases that introduce contents rather than a new item ("wallet with cards and cash")
+export const CONTENTS_CUE = /\b(?:with|containing|contains|including|inside|holding|that has|which has)\b/i;
+
+// Category tag left in the transcript by the "category …" voice command
+export const CATEGORY_TAG = /\[category: ([^\]]+)\]/gi;
+
+// Bind the extractor to a category list ([{ value, label, keywords? }]) and the category that
+// unmatched items land in. Resolves to { matchVocabulary, extractItemsLocally }.
+export const createOfflineExtractor = (categories, fallbackCategory) => {
+  // Belongings vocabulary for the offline extractor, checked in order (multi-word phrases first).
+  // Site category `keywords` come first so a site's "walker" can mean mobility aids, not medical.
+  const vocabulary = [
+    ...categories.filter(c => c.keywords?.length).map(c => ({ category: c.value, words: c.keywords })),
+    { category: 'electronics', words: ['cell phone', 'cellphone', 'smartphone', 'iphone', 'android phone', 'phone', 'ipad', 'tablet', 'laptop', 'charger', 'charging cable', 'power bank', 'headphones', 'earbuds', 'airpods', 'smartwatch', 'apple watch', 'camera', 'kindle', 'e-reader', 'speaker'] },
+    { category: 'medical', words: ['hearing aid', 'dentures', 'denture', 'pill bottle', 'medication', 'medications', 'medicine', 'pills', 'inhaler', 'insulin', 'epipen', 'glucose meter', 'glucometer', 'cpap', 'brace', 'cane', 'walker', 'crutches', 'crutch', 'contact lenses', 'oxygen'] },
+    { category: 'documents', words: ["driver's license", 'drivers license', 'license', 'passport', 'insurance card', 'credit card', 'debit card', 'id card', 'social security card', 'checkbook', 'paperwork', 'papers', 'documents', 'letter', 'mail', 'notebook', 'book', 'id'] },
+    { category: 'jewelry', words: ['wedding band', 'wedding ring', 'ring', 'necklace', 'chain', 'bracelet', 'earring', 'pendant', 'brooch', 'anklet', 'watch'] },
+    { category: 'accessories', words: ['wallet', 'purse', 'handbag', 'bag', 'backpack', 'duffel', 'belt', 'sunglasses', 'eyeglasses', 'reading glasses', 'glasses', 'umbrella', 'keychain', 'keys', 'key', 'lighter', 'cigarettes'] },
+    { category: 'clothing', words: ['t-shirt', 'shirt', 'blouse', 'jacket', 'coat', 'hoodie', 'sweatshirt', 'sweater', 'pants', 'jeans', 'trousers', 'shorts', 'skirt', 'dress', 'sock', 'shoe', 'sneaker', 'boot', 'sandal', 'slipper', 'hat', 'cap', 'beanie', 'scarf', 'glove', 'underwear', 'bra', 'vest', 'scrubs', 'uniform', 'pajamas', 'sweatpants', 'leggings'] },
+    { category: 'other', words: ['cash', 'money', 'dollars', 'coins', 'bills'] }
+  ];
+
+  // Find the first vocabulary word in a phrase: { category, index } or null. Vocabulary
+  // categories the site hasn't configured map to the fallback category.
+  const matchVocabulary = (phrase) => {
+    let best = null;
+    vocabulary.forEach(({ category, words }) => {
+      words.forEach(word => {
+        const match = new RegExp(`\\b${escapeRegExp(word)}(?:e?s)?\\b`, 'i').exec(phrase);
+        if (match && (!best || match.index < best.index)) best = { category: (categories.find(c => c.value === category) || fallbackCategory).value, index: match.index };
+      });
+    });
+    return best;
+  };
+
+  // Deterministic, fully client-side extraction used when no AI backend is available.
+  // Splits on list cues, picks a category from belongings vocabulary and applies the same
+  // appearance-based wording rules as the AI prompt. Same result shape as extractItems().
+  // Each line after a line break is a new item, and a [category: …] tag sets the category
+  // of the items on its line (both come from voice commands).
+  const extractItemsLocally = (textToProcess) => {
+    const fillers = /^(?:um+|uh+|so|okay|ok|well|like|right|let me see|let's see|next item|item|the patient (?:came in with|has|had|brought)|patient (?:has|had)|they (?:have|had)|there (?:is|are|was|were)|we have|i see|i have|and|also|then)\b[\s,]*/i;
+
+    const fragments = [];
+    textToProcess.split('\n').forEach((line, lineIndex) => {
+      const tag = [...line.matchAll(CATEGORY_TAG)].pop();
+      const forced = tag && categories.find(c => c.value.toLowerCase() === tag[1].trim().toLowerCase());
+      const lineFragments = [];
+      line
+        .replace(CATEGORY_TAG, ' ')
+        .split(/[.,;!?]+|\b(?:next item|also|and then|then|plus)\b/i)
+        .forEach(chunk => {
+          // Only split on "and" between two recognizable items, not inside "black and white" or
+          // contents lists. A contents cue counts after the item word only, so the "with" of
+          // "came in with a jacket and jeans" doesn't hold the two together.
+          const parts = chunk.split(/\band\b/i);
+          let current = parts[0];
+          parts.slice(1).forEach(part => {
+            const item = matchVocabulary(current);
+            if (item && matchVocabulary(part) && !CONTENTS_CUE.test(current.slice(item.index))) {
+              lineFragments.push(current);
+              current = part;
+            } else {
+              current = `${current} and ${part}`;
+            }
+          });
+          lineFragments.push(current);
+        });
+      // The first words of a line start an item even without vocabulary when the line was
+      // marked as a new item or given a category
+      const firstWords = lineFragments.findIndex(fragment => fragment.trim());
+      lineFragments.forEach((text, i) => fragments.push({
+        text, category: forced?.value || null, startsItem: i === firstWords && (lineIndex > 0 || Boolean(forced))
+      }));
+    });
+
+    const items = [];
+    const unstructured = [];
+    fragments.forEach(fragment => {
+      let phrase = fragment.text.replace(/\s+/g, ' ').trim();
+      for (let prev = null; prev !== phrase;) { prev = phrase; phrase = phrase.replace(fillers, '').trim(); }
+      if (!phrase) return;
+
+      const match = matchVocabulary(phrase);
+      if (!match && !fragment.startsItem) {
+        // Detail for the previous item ("it has a cracked screen"), or nothing we can use
+        const previous = items[items.length - 1];
+        if (previous) previous.description = appendDetail(previous.description, phrase);
+        else unstructured.push(phrase);
+        return;
+      }
+
+      let quantity = 1;
+      const countMatch = /^(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s+(?:pairs?\s+of\s+)?/i.exec(phrase);
+      if (countMatch) {
+        quantity = Math.max(1, parseInt(countMatch[1], 10) || NUMBER_WORDS.indexOf(countMatch[1].toLowerCase()));
+        phrase = phrase.slice(countMatch[0].length);
+      }
+      phrase = applyAppearanceRules(phrase.replace(/^(?:a pair of|a|an|the|some|his|her|their|one)\s+/i, ''));
+
+      const head = phrase.split(CONTENTS_CUE)[0].trim();
+      let words = head.split(' ').slice(0, 5);
+      const last = words[words.length - 1].toLowerCase();
+      if (quantity > 1 && /[^s]s$/.test(last) && !PLURAL_ONLY.includes(last)) {
+        words[words.length - 1] = words[words.length - 1].slice(0, /(?:ch|sh|x|ss)es$/i.test(last) ? -2 : -1);
+      }
+      // Keep brand casing ("iPhone") and lowercase joining words; capitalize the rest
+      const title = words.map((word, i) => (
+        word !== word.toLowerCase() || (i > 0 && ['and', 'of', 'with', 'or'].includes(word)) ? word : capitalize(word)
+      )).join(' ');
+
+      const description = /^\S*[A-Z]/.test(phrase) ? phrase : capitalize(phrase);
+      items.push({ title, category: fragment.category || match?.category || fallbackCategory.value, description, quantity });
+    });
+
+    return { items, salvaged: [], rejected: [], unstructured, errors: [], attempts: 0 };
+  };
+
+  return { matchVocabulary, extractItemsLocally };
+};
@@ -0,0 +1,81 @@
+// Pinned behaviour of the offline extractor: run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOfflineExtractor, appendDetail } from './offlineExtraction.js';
+
+const CATEGORIES = ['clothing', 'electronics', 'documents', 'jewelry', 'accessories', 'medical', 'other']
+  .map(value => ({ value, label: value }));
+const { extractItemsLocally } = createOfflineExtractor(CATEGORIES, CATEGORIES[6]);
+
+// [transcript, expected items as [title, category, description, quantity], expected unstructured]
+const CASES = [
+  ['black leather wallet, blue umbrella', [
+    ['Black Leather Wallet', 'accessories', 'Black leather wallet', 1],
+    ['Blue Umbrella', 'accessories', 'Blue umbrella', 1]
+  ]],
+  // "and" splits two recognizable items...
+  ['red jacket and blue jeans', [
+    ['Red Jacket', 'clothing', 'Red jacket', 1],
+    ['Blue Jeans', 'clothing', 'Blue jeans', 1]
+  ]],
+  // ...but not a colour pair or a contents list
+  ['black and white sneakers', [['Black and White Sneakers', 'clothing', 'Black and white sneakers', 1]]],
+  ['wallet with cards and cash', [['Wallet', 'accessories', 'Wallet with cards and cash', 1]]],
+  // Fillers are stripped, and their "with" is not a contents cue
+  ['um so the patient came in with a red jacket and blue jeans', [
+    ['Red Jacket', 'clothing', 'Red jacket', 1],
+    ['Blue Jeans', 'clothing', 'Blue jeans', 1]
+  ]],
+  ['okay let me see, reading glasses, also a cane then keys', [
+    ['Reading Glasses', 'accessories', 'Reading glasses', 1],
+    ['Cane', 'medical', 'Cane', 1],
+    ['Keys', 'accessories', 'Keys', 1]
+  ]],
+  // Leading counts become the quantity and singularize the title
+  ['two pairs of socks, 3 rings', [
+    ['Sock', 'clothing', 'Socks', 2],
+    ['Ring', 'jewelry', 'Rings', 3]
+  ]],
+  // Appearance-based wording
+  ['a silver necklace with a diamond pendant', [
+    ['Silver-colored Necklace', 'jewelry', 'Silver-colored necklace with a clear stone pendant', 1]
+  ]],
+  // Follow-up details attach to the previous item
+  ['a phone. it has a cracked screen', [['Phone', 'electronics', 'Phone, cracked screen', 1]]],
+  // Line breaks start items and category tags override the vocabulary
+  ['blue umbrella\n[category: medical] walker\nsomething green', [
+    ['Blue Umbrella', 'accessories', 'Blue umbrella', 1],
+    ['Walker', 'medical', 'Walker', 1],
+    ['Something Green', 'other', 'Something green', 1]
+  ]],
+  ['mumble mumble', [], ['mumble mumble']]
+];
+
+for (const [transcript, expected, unstructured = []] of CASES) {
+  test(`extracts ${JSON.stringify(transcript)}`, () => {
+    const result = extractItemsLocally(transcript);
+    assert.deepEqual(
+      result.items.map(item => [item.title, item.category, item.description, item.quantity]),
+      expected
+    );
+    assert.deepEqual(result.unstructured, unstructured);
+  });
+}
+
+test('site keywords come before the built-in vocabulary', () => {
+  const categories = [...CATEGORIES, { value: 'mobility', label: 'Mobility aids', keywords: ['walker', 'cane'] }];
+  const { extractItemsLocally: extract } = createOfflineExtractor(categories, categories[6]);
+  assert.deepEqual(extract('walker, inhaler').items.map(item => item.category), ['mobility', 'medical']);
+});
+
+test('vocabulary for an unconfigured category lands in the fallback', () => {
+  const categories = [{ value: 'belongings', label: 'Belongings' }, { value: 'Misc', label: 'Miscellaneous' }];
+  const { extractItemsLocally: extract } = createOfflineExtractor(categories, categories[1]);
+  assert.deepEqual(extract('blue jacket').items.map(item => item.category), ['Misc']);
+  assert.deepEqual(extract('[category: misc] blue jacket').items.map(item => item.category), ['Misc']);
+});
+
+test('appendDetail drops the pronoun and keeps appearance wording', () => {
+  assert.equal(appendDetail('Black iPhone', 'it has a cracked screen'), 'Black iPhone, cracked screen');
+  assert.equal(appendDetail('Ring', 'it is gold'), 'Ring, yellow-colored');
+});
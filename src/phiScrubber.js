@@ -0,0 +1,139 @@
+// Client-side PHI scrubber. Transcripts and item text pass through it before anything is
+// sent to an AI backend, and the export can be run through it too.
+import { escapeRegExp } from './offlineExtraction.js';
+
+// Name detection works in every default dictation language. JavaScript's \b only knows ASCII
+// letters, so names are bounded by "no letter or digit" instead, and name words are letters
+// in any script ("José", "Nguyễn").
+const NOT_AFTER_LETTER = '(?<![\\p{L}\\p{N}_])';
+const NOT_BEFORE_LETTER = '(?![\\p{L}\\p{N}_])';
+const NAME_WORD = "\\p{L}[\\p{L}\\p{M}'’-]*";
+const CAPITALIZED_WORD = "\\p{Lu}[\\p{Ll}\\p{M}'’-]+";
+// Words that can follow a first name without being part of it
+const NOT_NAME = `(?:and|with|has|had|his|her|their|the|a|an|who|is|was|y|e|et|con|com|avec|tiene|tem|và|có|at|ang|и|с)${NOT_BEFORE_LETTER}`;
+
+// Cues that state a person's name ("his name is", "se llama"); the name after them may be
+// lowercase, as dictation usually is. Only cues about a person: "the phone is called Pixel"
+// or "a book called Harry Potter" names a thing, and that has to stay in the description.
+const NAME_STATEMENT_CUES = [
+  "(?:patient'?s|his|her|their)\\s+name\\s+is", '(?:patient|he|she)\\s+(?:is\\s+)?(?:named|called)',
+  '(?:paciente|él|ella)\\s+se\\s+llama', '(?:su|el)\\s+nombre(?:\\s+del\\s+paciente)?\\s+es',
+  '(?:paciente|ele|ela)\\s+se\\s+chama', 'o\\s+nome\\s+(?:dele|dela|do\\s+paciente)\\s+é',
+  "(?:patient|patiente|elle)\\s+s['’]appelle", 'son\\s+nom\\s+est',
+  'tên(?:\\s+(?:bệnh\\s+nhân|anh\\s+ấy|chị\\s+ấy|ông|bà))?\\s+là',
+  'ang\\s+pangalan\\s+(?:niya|ng\\s+pasyente)\\s+ay', 'pangalan\\s+niya\\s+ay',
+  'зовут', 'имя\\s+пациента',
+  'اسمه', 'اسمها', 'اسم\\s+المريضة?'
+];
+
+// Titles, ownership cues ("Mrs.", "belongs to", "pertenece a") and "is called" where it may be
+// about a thing ("se llama"); only a capitalized name counts
+const NAME_TITLE_CUES = [
+  'se\\s+llama', 'se\\s+chama', 'chama-se', "s['’]appelle",
+  'patient', 'mrs?\\.?', 'ms\\.?', 'miss', 'dr\\.?', 'belongs\\s+to', 'belonging\\s+to', 'owned\\s+by',
+  'paciente', 'señora?', 'sra?\\.', 'pertenece\\s+a', 'pertence\\s+a',
+  'madame', 'monsieur', 'mme\\.?', 'appartient\\s+à',
+  'bệnh\\s+nhân', 'của', 'pasyente(?:ng)?', 'kay',
+  'пациент(?:ка)?', 'принадлежит'
+];
+
+// Cues are matched with either case for their first letter only, so a capitalized name can
+// still be told from a lowercase word after a title
+const eitherCaseFirst = (cue) => cue.replace(/^\p{L}/u, letter => `[${letter.toUpperCase()}${letter.toLowerCase()}]`);
+
+const NAME_PATTERNS = [
+  {
+    type: 'name', label: 'Name', group: 1,
+    pattern: new RegExp(`${NOT_AFTER_LETTER}(?:${NAME_STATEMENT_CUES.map(eitherCaseFirst).join('|')})\\s+(${NAME_WORD}(?:\\s+(?!${NOT_NAME})${NAME_WORD})?(?:\\s+${CAPITALIZED_WORD})?)`, 'gu')
+  },
+  {
+    type: 'name', label: 'Name', group: 1,
+    pattern: new RegExp(`${NOT_AFTER_LETTER}(?:${NAME_TITLE_CUES.map(eitherCaseFirst).join('|')})\\s+(${CAPITALIZED_WORD}(?:\\s+${CAPITALIZED_WORD}){0,2})`, 'gu')
+  },
+  // Chinese names are two or three characters straight after the cue
+  { type: 'name', label: 'Name', group: 1, pattern: /(?:名叫|姓名是|名字是|患者|属于)\s*((?:(?![的和有])\p{Script=Han}){2,3})/gu },
+  { type: 'name', label: 'Name', group: 1, pattern: new RegExp(`${NOT_AFTER_LETTER}(${CAPITALIZED_WORD}\\s+${CAPITALIZED_WORD})'s${NOT_BEFORE_LETTER}`, 'gu') }
+];
+
+// Languages (locale prefixes) the name cues cover. Dictation in any other language can't be
+// scrubbed reliably, so it is not sent to an AI backend.
+const NAME_CUE_LANGUAGES = ['en', 'es', 'pt', 'fr', 'vi', 'fil', 'tl', 'ru', 'ar', 'zh'];
+
+export const canScrubLanguage = (locale) => NAME_CUE_LANGUAGES.includes(String(locale).split('-')[0].toLowerCase());
+
+// PHI detectors, applied in order. Specific formats (cued IDs, SSNs, card numbers) run
+// before the generic ones so a card number is not half-redacted as a phone number.
+// `group` selects the capture group to replace when the pattern also matches a cue word.
+const PHI_PATTERNS = [
+  {
+    type: 'dob', label: 'Date of birth', group: 1,
+    pattern: /\b(?:DOB|D\.O\.B\.?|date of birth|birth ?date|born(?: on)?)\s*(?:is|was|:)?\s*(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4})/gi
+  },
+  { type: 'ssn', label: 'SSN', pattern: /\b\d{3}[-\s]\d{2}[-\s]\d{4}\b/g },
+  { type: 'card', label: 'Card number', pattern: /\b\d(?:[\s-]?\d){12,18}\b/g },
+  { type: 'phone', label: 'Phone number', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b/g },
+  {
+    type: 'id', label: 'MRN / ID number', group: 1,
+    pattern: /\b(?:MRN|medical record(?:\s+number)?|account(?:\s+number)?|acct|FIN|encounter(?:\s+number)?|(?:driver'?s\s+)?license(?:\s+number)?|DL|member\s+ID|policy(?:\s+number)?|ID\s+number|social security(?:\s+number)?|SSN)\s*(?:#|no\.?|number|is|:)?\s*([A-Z]*\d[A-Z0-9-]{3,})/gi
+  },
+  { type: 'date', label: 'Date', pattern: /\b\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})\b/g },
+  {
+    type: 'address', label: 'Address',
+    pattern: /\b\d{1,6}\s+(?:[A-Za-z0-9.'-]+\s+){1,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|circle|cir|highway|hwy|parkway|pkwy)\b\.?(?:,?\s+(?:apt|apartment|unit|suite|#)\s*[A-Za-z0-9-]+)?/gi
+  },
+  { type: 'number', label: 'Long number', pattern: /\b\d{7,}\b/g },
+  ...NAME_PATTERNS
+];
+
+// Replace PHI in text with placeholders such as [NAME-1] or [ID-2]. Pass the redactions
+// from an earlier call to keep placeholder numbering consistent across several fields.
+// Returns { text, redactions: [{ type, label, original, placeholder }] }.
+export const scrubPHI = (text, known = []) => {
+  const redactions = [...known];
+  const placeholderFor = (type, label, original) => {
+    const existing = redactions.find(r => r.type === type && r.original.toLowerCase() === original.toLowerCase());
+    if (existing) return existing.placeholder;
+    const count = redactions.filter(r => r.type === type).length + 1;
+    const placeholder = `[${type.toUpperCase()}-${count}]`;
+    redactions.push({ type, label, original, placeholder });
+    return placeholder;
+  };
+
+  let scrubbed = String(text ?? '');
+  PHI_PATTERNS.forEach(({ type, label, pattern, group }) => {
+    scrubbed = scrubbed.replace(pattern, (...args) => {
+      const match = args[0];
+      const value = group ? args[group] : match;
+      if (!value || value.startsWith('[')) return match;
+      const placeholder = placeholderFor(type, label, value.trim());
+      return group ? match.replace(value.trim(), placeholder) : placeholder;
+    });
+  });
+
+  // A name caught once by a cue is redacted wherever else it appears
+  redactions.filter(r => r.type === 'name').forEach(r => {
+    scrubbed = scrubbed.replace(new RegExp(`${NOT_AFTER_LETTER}${escapeRegExp(r.original)}${NOT_BEFORE_LETTER}`, 'giu'), r.placeholder);
+  });
+
+  return { text: scrubbed, redactions };
+};
+
+// Scrub the free-text fields of every item (title, description, the wording as spoken and the
+// medication name), numbering placeholders across the whole list. Pass earlier redactions
+// to continue their numbering.
+export const scrubItems = (items, known = []) => {
+  let redactions = known;
+  const scrub = (text) => {
+    const result = scrubPHI(text, redactions);
+    redactions = result.redactions;
+    return result.text;
+  };
+  const scrubbed = items.map(item => ({
+    ...item,
+    title: scrub(item.title),
+    description: scrub(item.description),
+    ...(item.original ? { original: scrub(item.original) } : {}),
+    ...(item.medication?.name ? { medication: { ...item.medication, name: scrub(item.medication.name) } } : {})
+  }));
+  return { items: scrubbed, redactions };
+};
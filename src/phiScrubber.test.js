@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrubPHI, canScrubLanguage } from './phiScrubber.js';
+
+// [input, expected text]
+const REDACTED = [
+  ["patient's name is John Smith, black wallet", "patient's name is [NAME-1], black wallet"],
+  ['his name is john and he has a phone', 'his name is [NAME-1] and he has a phone'],
+  ['patient named Maria Lopez, her purse', 'patient named [NAME-1], her purse'],
+  ['wallet belongs to Maria Lopez, ID says Maria Lopez', 'wallet belongs to [NAME-1], ID says [NAME-1]'],
+  ['MRN 1234567, phone 555-123-4567', 'MRN [ID-1], phone [PHONE-1]'],
+  // Names in other scripts and dictation languages
+  ['his name is José, José has a wallet', 'his name is [NAME-1], [NAME-1] has a wallet'],
+  ['se llama José García y tiene una cartera negra', 'se llama [NAME-1] y tiene una cartera negra'],
+  ['la cartera pertenece a María López', 'la cartera pertenece a [NAME-1]'],
+  ['o nome dele é João Silva, carteira preta', 'o nome dele é [NAME-1], carteira preta'],
+  ["il s'appelle François Dupont", "il s'appelle [NAME-1]"],
+  ['tên bệnh nhân là Nguyễn Văn An, ví đen', 'tên bệnh nhân là [NAME-1], ví đen'],
+  ['ang pangalan niya ay Juan Cruz', 'ang pangalan niya ay [NAME-1]'],
+  ['его зовут Иван Петров, чёрный кошелёк', 'его зовут [NAME-1], чёрный кошелёк'],
+  ['اسمه أحمد علي', 'اسمه [NAME-1]'],
+  ['患者张伟的钱包', '患者[NAME-1]的钱包']
+];
+
+// Item wording that looks like a name cue but isn't about a person
+const KEPT = [
+  'the phone is called Pixel, a Pixel charger',
+  'a book called Harry Potter',
+  'Samsung phone named Galaxy',
+  'brand name is Nike, Nike sneakers',
+  'el teléfono se llama de otra forma',
+  'paciente con cartera negra'
+];
+
+for (const [input, expected] of REDACTED) {
+  test(`redacts ${JSON.stringify(input)}`, () => {
+    assert.equal(scrubPHI(input).text, expected);
+  });
+}
+
+for (const input of KEPT) {
+  test(`keeps ${JSON.stringify(input)}`, () => {
+    const { text, redactions } = scrubPHI(input);
+    assert.equal(text, input);
+    assert.deepEqual(redactions, []);
+  });
+}
+
+test('knows which dictation languages it can scrub', () => {
+  assert.deepEqual(
+    ['en-US', 'es-US', 'zh-CN', 'vi-VN', 'fil-PH', 'ar-SA', 'fr-FR', 'ru-RU', 'pt-BR'].filter(locale => !canScrubLanguage(locale)),
+    []
+  );
+  assert.equal(canScrubLanguage('ko-KR'), false);
+});